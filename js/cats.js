@@ -0,0 +1,160 @@
+/**
+ * Cats - enemies that roam the maze after the mouse
+ *
+ * Cats move one cell at a time through open passages (MazeGenerator.getPassage, so the
+ * same walls, stairs and tunnels as the mouse, and locked doors stop them too), each
+ * step taken when the game's tick comes round. How a cat picks its steps is its behavior:
+ *
+ * - wander: a random way on at every junction, only turning back at dead ends
+ * - patrol: back and forth along a beat, a stretch of passage picked when it spawns
+ * - chase: straight for the mouse by the shortest route once it's within sightRange
+ *   moves (searched outward from the cat, so it can smell round corners), wandering otherwise
+ *
+ * A perfect maze has one route between any two cells, so a chasing cat is hard to get
+ * past; braided mazes have loops to lead it round.
+ */
+class Cat {
+    static BEHAVIORS = ['wander', 'patrol', 'chase'];
+
+    constructor(generator, cell, behavior, options = {}) {
+        this.generator = generator;
+        this.cell = cell;
+        this.behavior = behavior;
+        this.random = options.random ?? new SeededRandom(SeededRandom.randomSeed());
+        this.sightRange = options.sightRange ?? 6; // Moves away a chasing cat notices the mouse
+        this.passable = options.passable ?? null; // passable(from, to), if given, can shut passages (locked doors)
+        this.previous = null; // Cell it came from, wandering doesn't turn straight back
+        this.chasing = false; // Whether it had the mouse in range on its last step
+        this.beat = behavior === 'patrol' ? this.planBeat(options.beatLength ?? 8) : null; // { route, index, step }
+        this.visual = generator.topology.center(cell.x, cell.y); // Eases after cell, like the player
+    }
+
+    /**
+     * Place count cats at random cells at least minDistance moves from a position (the
+     * mouse), or as far as the maze allows, never on the exit. Behaviors are handed out
+     * in turn from options.behaviors.
+     */
+    static spawn(generator, count, from, options = {}) {
+        if (count <= 0) return [];
+        const random = options.random ?? new SeededRandom(SeededRandom.randomSeed());
+        const behaviors = options.behaviors ?? Cat.BEHAVIORS;
+        const distances = new MazeSolver(generator).distanceMap(from);
+        const distance = (cell) => distances[cell.y][cell.x];
+        const exit = generator.exit;
+
+        const cells = generator.getCells().filter(cell =>
+            distance(cell) !== Infinity && distance(cell) > 0 && !(exit && cell.x === exit.x && cell.y === exit.y));
+        const farthest = cells.reduce((max, cell) => Math.max(max, distance(cell)), 0);
+        const minDistance = Math.min(options.minDistance ?? 10, farthest);
+        const places = random.shuffle(cells.filter(cell => distance(cell) >= minDistance));
+
+        return places.slice(0, count).map((cell, i) =>
+            new Cat(generator, cell, behaviors[i % behaviors.length], { ...options, random }));
+    }
+
+    // Take one step, mouse being the cell the mouse is in
+    step(mouse) {
+        const next = this.nextCell(mouse);
+        if (next) {
+            this.previous = this.cell;
+            this.cell = next;
+        }
+    }
+
+    nextCell(mouse) {
+        switch (this.behavior) {
+            case 'chase': {
+                const route = this.routeTo(mouse);
+                this.chasing = route !== null;
+                return route ? route[1] : this.wanderStep();
+            }
+            case 'patrol':
+                return this.patrolStep();
+            default:
+                return this.wanderStep();
+        }
+    }
+
+    // Cells the cat can step to from a cell
+    ways(cell) {
+        const neighbors = this.generator.getOpenNeighbors(cell);
+        return this.passable ? neighbors.filter(neighbor => this.passable(cell, neighbor)) : neighbors;
+    }
+
+    wanderStep() {
+        const ways = this.ways(this.cell);
+        const onward = ways.filter(cell => cell !== this.previous);
+        return onward.length > 0 ? this.random.pick(onward) : ways[0] ?? null;
+    }
+
+    patrolStep() {
+        const beat = this.beat;
+        if (beat.route.length < 2) return this.wanderStep();
+        if (beat.index + beat.step < 0 || beat.index + beat.step >= beat.route.length) {
+            beat.step = -beat.step;
+        }
+        beat.index += beat.step;
+        return beat.route[beat.index];
+    }
+
+    // Route out from the cat's cell to one of the furthest cells within length moves
+    planBeat(length) {
+        const { cameFrom, depth } = this.explore(length);
+        const deepest = Math.max(...depth.values());
+        const end = this.random.pick([...depth.keys()].filter(cell => depth.get(cell) === deepest));
+        return { route: Cat.routeBack(cameFrom, end), index: 0, step: 1 };
+    }
+
+    // Cells from the cat to target along the shortest route, or null if it's more than sightRange moves away
+    routeTo(target) {
+        const { cameFrom } = this.explore(this.sightRange, target);
+        return cameFrom.has(target) ? Cat.routeBack(cameFrom, target) : null;
+    }
+
+    /**
+     * Breadth-first search out to maxDepth moves, stopping early at target if given.
+     * Returns the cell each cell reached was reached from and how many moves away it is.
+     */
+    explore(maxDepth, target = null) {
+        const cameFrom = new Map([[this.cell, null]]);
+        const depth = new Map([[this.cell, 0]]);
+        const queue = [this.cell];
+
+        for (let i = 0; i < queue.length && !cameFrom.has(target); i++) {
+            const current = queue[i];
+            if (depth.get(current) >= maxDepth) continue;
+            for (const neighbor of this.ways(current)) {
+                if (!cameFrom.has(neighbor)) {
+                    cameFrom.set(neighbor, current);
+                    depth.set(neighbor, depth.get(current) + 1);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return { cameFrom, depth };
+    }
+
+    static routeBack(cameFrom, end) {
+        const route = [];
+        for (let cell = end; cell; cell = cameFrom.get(cell)) {
+            route.push(cell);
+        }
+        return route.reverse();
+    }
+
+    // Ease the drawn position toward the cat's cell at speed cells per second
+    update(deltaTime, speed) {
+        const target = this.generator.topology.center(this.cell.x, this.cell.y);
+        const dx = target.x - this.visual.x;
+        const dy = target.y - this.visual.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const moveAmount = speed * deltaTime;
+        if (moveAmount >= distance) {
+            this.visual = target;
+        } else {
+            this.visual.x += dx * moveAmount / distance;
+            this.visual.y += dy * moveAmount / distance;
+        }
+    }
+}
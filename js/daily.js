@@ -0,0 +1,136 @@
+/**
+ * Daily Challenge - one maze a day, the same for everyone, and the streak of days played
+ *
+ * Everything about the day's maze comes from the date ('YYYY-MM-DD', the player's own
+ * calendar day): the seed, and the options drawn from it, which are tougher than the
+ * first levels get. A fixed size larger than they start at, one of the algorithms that
+ * make the longest, most winding routes and little braiding to leave loops. Its doors,
+ * crumbs and cats are fixed too rather than taken from the player's settings.
+ *
+ * The first attempt of the day is the scored one. It counts as soon as it starts, so
+ * starting over is practice, and finishing it sets the day's result. The streak is the
+ * run of days in a row, up to today or yesterday, with a result.
+ */
+class DailyChallenge {
+    static STORAGE_KEY = 'mazer.daily';
+
+    static SIZE = 25;
+    static ALGORITHMS = ['backtrack', 'huntAndKill', 'wilson', 'aldousBroder'];
+    static BRAIDING = [0, 0.05, 0.1];
+
+    // MazerGame properties set for the daily maze in place of the player's settings
+    static RULES = { lockedDoors: 2, crumbCount: 10, catCount: 1 };
+
+    constructor(maxDays = 400) {
+        this.maxDays = maxDays; // Days kept, the oldest are dropped past this
+        this.days = this.load(); // { 'YYYY-MM-DD': { time, moves, par, crumbs } or null if never finished }
+    }
+
+    // A date as 'YYYY-MM-DD' in local time
+    static dateKey(date = new Date(Date.now())) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static isDateKey(text) {
+        return typeof text === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(text) && DailyChallenge.dateKey(DailyChallenge.parseDate(text)) === text;
+    }
+
+    static parseDate(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    static previousDay(key) {
+        const date = DailyChallenge.parseDate(key);
+        date.setDate(date.getDate() - 1);
+        return DailyChallenge.dateKey(date);
+    }
+
+    static seed(key) {
+        return `daily-${key}`;
+    }
+
+    // The day's maze, not generated yet
+    static createGenerator(key) {
+        const random = new SeededRandom(`${DailyChallenge.seed(key)}:options`);
+        return new MazeGenerator(DailyChallenge.SIZE, DailyChallenge.SIZE, {
+            algorithm: random.pick(DailyChallenge.ALGORITHMS),
+            braidingFactor: random.pick(DailyChallenge.BRAIDING),
+            extraWallRemoval: 0,
+            topology: 'square',
+            seed: DailyChallenge.seed(key)
+        });
+    }
+
+    hasAttempted(key) {
+        return key in this.days;
+    }
+
+    // Use up the day's scored attempt
+    start(key) {
+        if (this.hasAttempted(key)) return;
+        this.days[key] = null;
+        this.save();
+    }
+
+    // Set the day's result from the scored attempt's run ({ time, moves, par, crumbs })
+    finish(key, run) {
+        this.days[key] = { time: run.time, moves: run.moves, par: run.par, crumbs: run.crumbs };
+        this.save();
+    }
+
+    result(key) {
+        return this.days[key] ?? null;
+    }
+
+    // Days in a row with a result, counting back from today (or yesterday, if today isn't finished yet)
+    streak(today = DailyChallenge.dateKey()) {
+        let key = this.result(today) ? today : DailyChallenge.previousDay(today);
+        let count = 0;
+        while (this.result(key)) {
+            count++;
+            key = DailyChallenge.previousDay(key);
+        }
+        return count;
+    }
+
+    // Plain text to paste into a chat
+    static shareText(key, run, streak, practice = false) {
+        const extra = run.moves - run.par;
+        return [
+            `🧩 Mazr Daily ${key}${practice ? ' (practice)' : ''}`,
+            `⏱️ ${MazerGame.formatTime(run.time / 1000, true)}`,
+            `👣 ${run.moves} moves (par ${run.par}${extra > 0 ? `, +${extra}` : ', perfect!'})`,
+            ...(streak > 0 ? [`🔥 ${streak} day${streak === 1 ? '' : 's'} in a row`] : [])
+        ].join('\n');
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DailyChallenge.STORAGE_KEY));
+            const days = {};
+            for (const [key, result] of Object.entries(saved ?? {})) {
+                if (DailyChallenge.isDateKey(key) && (result === null || Number.isFinite(result?.time))) {
+                    days[key] = result;
+                }
+            }
+            return days;
+        } catch (e) {
+            // Unreadable or blocked storage - start with no days played
+            return {};
+        }
+    }
+
+    save() {
+        const keys = Object.keys(this.days).sort();
+        for (const key of keys.slice(0, Math.max(0, keys.length - this.maxDays))) {
+            delete this.days[key];
+        }
+        try {
+            localStorage.setItem(DailyChallenge.STORAGE_KEY, JSON.stringify(this.days));
+        } catch (e) {
+            // Storage can be blocked or full - the day's attempt lasts until reload
+        }
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * Endless Maze - a maze with no bottom, generated one row at a time
+ *
+ * Uses Eller's algorithm (MazeGenerator.carveEllerRow), which only needs the sets of the
+ * newest row to keep going, so memory stays constant however deep the player goes:
+ * rows are added below as they are needed and rows far above are discarded.
+ *
+ * The grid is square with no bottom edge (height is Infinity). Cells keep their
+ * absolute y, so grid[0] is the row at firstRow, not row 0.
+ * A row is only complete once the row below it exists, so callers should keep
+ * a few rows generated past anything the player can reach.
+ */
+class EndlessMaze extends MazeGenerator {
+    constructor(width, options = {}) {
+        super(width, Infinity, {
+            ...options,
+            braidingFactor: 0,
+            extraWallRemoval: 0,
+            start: { x: Math.floor(width / 2), y: 0 }
+        });
+        this.algorithm = 'eller';
+        this.exit = null; // No way out, only down
+    }
+
+    init() {
+        this.grid = [];
+        this.firstRow = 0; // Absolute y of grid[0]
+        this.nextRow = 0; // Absolute y of the next row to create
+        this.ellerState = { sets: new Array(this.width).fill(null), nextSet: 0 };
+    }
+
+    /**
+     * Restart from the top with the first rowCount rows generated
+     */
+    generate(rowCount = 2) {
+        this.init();
+        this.random = new SeededRandom(this.seed, this.prng);
+        this.ensureRows(rowCount - 1);
+        return this.grid;
+    }
+
+    /**
+     * Generate rows until row y exists and is complete (the row below it exists too)
+     */
+    ensureRows(y) {
+        while (this.nextRow <= y + 1) {
+            this.addRow();
+        }
+    }
+
+    addRow() {
+        const y = this.nextRow++;
+        const row = [];
+        for (let x = 0; x < this.width; x++) {
+            row.push(this.topology.createCell(x, y));
+        }
+
+        // Adding a row is what lets the row above be carved, down into this one
+        const rowAbove = this.getRow(y - 1);
+        this.grid.push(row);
+        if (rowAbove) {
+            this.carveEllerRow(rowAbove, row, this.ellerState, false);
+        }
+    }
+
+    /**
+     * Drop every row above y to free memory. Passages up out of row y are walled off.
+     */
+    discardAbove(y) {
+        const count = Math.min(y - this.firstRow, this.grid.length - 2);
+        if (count <= 0) return;
+
+        this.grid.splice(0, count);
+        this.firstRow += count;
+        for (const cell of this.grid[0]) {
+            cell.walls.top = true;
+        }
+    }
+
+    getRow(y) {
+        return this.grid[y - this.firstRow] || null;
+    }
+
+    getCell(x, y) {
+        const row = this.getRow(y);
+        return row && x >= 0 && x < this.width ? row[x] : null;
+    }
+}
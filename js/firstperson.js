@@ -0,0 +1,218 @@
+/**
+ * First-Person View - the maze from the mouse's eye, in pseudo-3D
+ *
+ * A raycaster in the style of the old grid shooters: one ray per column of the canvas
+ * is stepped cell by cell through the maze (DDA) until it meets a wall that's up, and
+ * the wall is drawn as a column whose height shrinks with distance. It reads the same
+ * cells and walls as the top-down view, so it only needs the game for the maze, the
+ * player's position and the canvas.
+ *
+ * Square grids only (rays cross cells along x and y). On mazes with several floors it
+ * shows the player's floor. Cells past the edge or left out by a mask count as solid.
+ *
+ * Facing is one of the square grid's directions, so moving forward and back are plain
+ * moves. Turning eases the camera round to the new heading.
+ */
+class FirstPersonView {
+    // Headings in clockwise order, a quarter turn apart
+    static HEADINGS = ['top', 'right', 'bottom', 'left'];
+
+    constructor(game) {
+        this.game = game;
+        this.heading = 'right';
+        this.angle = 0; // Angle the camera faces, radians clockwise from right
+        this.fieldOfView = Math.PI / 3;
+        this.maxDepth = 64; // Cells a ray goes through before giving up
+        this.turnSpeed = 10; // How fast the camera eases round, per second
+        this.eyeBack = 0.35; // Cells the eye sits behind the cell center, to see more of the cell ahead
+        this.wallHeight = 0.6; // Share of the view a wall one cell away fills
+    }
+
+    static supports(topology) {
+        return topology.name === 'square';
+    }
+
+    // Face down the first open passage from the player's cell, straight away
+    reset() {
+        const generator = this.game.mazeGenerator;
+        if (!FirstPersonView.supports(generator.topology)) return;
+
+        const cell = generator.getCell(this.game.player.x, this.game.player.y);
+        this.heading = FirstPersonView.HEADINGS.find(direction => generator.getPassage(cell, direction)) ?? 'right';
+        this.angle = this.headingAngle(this.heading);
+    }
+
+    // Quarter turns: 1 turns right, -1 left
+    turn(steps) {
+        const headings = FirstPersonView.HEADINGS;
+        const index = headings.indexOf(this.heading) + steps;
+        this.heading = headings[(index % 4 + 4) % 4];
+    }
+
+    // The way back, for stepping backward without turning round
+    get backward() {
+        const headings = FirstPersonView.HEADINGS;
+        return headings[(headings.indexOf(this.heading) + 2) % 4];
+    }
+
+    headingAngle(heading) {
+        return (FirstPersonView.HEADINGS.indexOf(heading) - 1) * Math.PI / 2;
+    }
+
+    update(deltaTime) {
+        // Ease round the shorter way to the heading
+        const target = this.headingAngle(this.heading);
+        const difference = Math.atan2(Math.sin(target - this.angle), Math.cos(target - this.angle));
+        if (Math.abs(difference) < 0.001) {
+            this.angle = target;
+        } else {
+            this.angle += difference * Math.min(1, deltaTime * this.turnSpeed);
+        }
+    }
+
+    render() {
+        const game = this.game;
+        const ctx = game.ctx;
+        const { width, height } = game.canvas;
+        const colors = game.colors;
+        const generator = game.mazeGenerator;
+        const topology = generator.topology;
+
+        // Rays work in the coordinates of the player's floor
+        const rowOffset = game.player.y - topology.rowOnFloor(game.player.y);
+        const cellAt = (x, y) => generator.getCell(x, y + rowOffset);
+
+        const dirX = Math.cos(this.angle);
+        const dirY = Math.sin(this.angle);
+        const posX = game.playerVisual.x - dirX * this.eyeBack;
+        const posY = game.playerVisual.y - dirY * this.eyeBack;
+        // Camera plane, perpendicular to the direction, sets the field of view
+        const planeLength = Math.tan(this.fieldOfView / 2);
+        const planeX = -dirY * planeLength;
+        const planeY = dirX * planeLength;
+
+        // Ceiling and floor
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, width, height / 2);
+        ctx.fillStyle = colors.path;
+        ctx.fillRect(0, height / 2, width, height / 2);
+
+        const depths = new Array(width);
+        for (let column = 0; column < width; column++) {
+            const cameraX = 2 * column / width - 1;
+            const rayX = dirX + planeX * cameraX;
+            const rayY = dirY + planeY * cameraX;
+            const hit = this.castRay(cellAt, posX, posY, rayX, rayY);
+            depths[column] = hit.distance;
+            if (hit.distance === Infinity) continue;
+
+            const wallHeight = Math.min(height * 4, height * this.wallHeight / hit.distance);
+            const top = (height - wallHeight) / 2;
+            ctx.fillStyle = hit.door ? MazeItems.COLORS[hit.door.color].color : colors.wall;
+            ctx.fillRect(column, top, 1, wallHeight);
+
+            // Shade: walls across x a little darker, all of them darker with distance,
+            // and darker still at the corners of cells so the edges stand out
+            const corner = Math.min(hit.along, 1 - hit.along) < 0.02 + 0.01 * hit.distance;
+            const shade = corner ? 0.7 : Math.min(0.85, (hit.side === 'x' ? 0.2 : 0) + hit.distance / 12);
+            ctx.fillStyle = `rgba(0, 0, 0, ${shade})`;
+            ctx.fillRect(column, top, 1, wallHeight);
+        }
+
+        // The cheese, keys, crumbs and any cats on this floor, furthest first so nearer ones cover them
+        const floor = topology.floorOf(game.player.y);
+        const sprites = [];
+        if (game.exit && topology.floorOf(game.exit.y) === floor) {
+            sprites.push({ ...topology.center(game.exit.x, game.exit.y), emoji: '🧀', glow: colors.exitGlow });
+        }
+        for (const key of game.items?.keys ?? []) {
+            if (!key.taken && topology.floorOf(key.cell.y) === floor) {
+                sprites.push({ ...topology.center(key.cell.x, key.cell.y), emoji: '🔑', glow: MazeItems.COLORS[key.color].color });
+            }
+        }
+        for (const crumb of game.items?.crumbs ?? []) {
+            if (!crumb.eaten && topology.floorOf(crumb.cell.y) === floor) {
+                sprites.push({ ...topology.center(crumb.cell.x, crumb.cell.y), emoji: '🍪', glow: null });
+            }
+        }
+        for (const cat of game.cats) {
+            if (topology.floorOf(cat.cell.y) === floor) {
+                sprites.push({ ...cat.visual, emoji: game.catEmoji(cat), glow: null });
+            }
+        }
+        const distance = (sprite) => Math.hypot(sprite.x - posX, sprite.y - posY);
+        sprites.sort((a, b) => distance(b) - distance(a));
+        for (const sprite of sprites) {
+            this.drawSprite(sprite.x - posX, sprite.y - posY, { dirX, dirY, planeX, planeY }, depths, sprite.emoji, sprite.glow);
+        }
+    }
+
+    /**
+     * Step a ray through the grid until it meets a wall that's up or a locked door.
+     * Returns the distance along the view direction (so walls don't bulge), which way the
+     * wall runs, where along it the ray hit (0-1) and the door if it was one.
+     */
+    castRay(cellAt, posX, posY, rayX, rayY) {
+        let mapX = Math.floor(posX);
+        let mapY = Math.floor(posY);
+        const deltaX = Math.abs(1 / rayX);
+        const deltaY = Math.abs(1 / rayY);
+        const stepX = rayX < 0 ? -1 : 1;
+        const stepY = rayY < 0 ? -1 : 1;
+        let sideX = (rayX < 0 ? posX - mapX : mapX + 1 - posX) * deltaX;
+        let sideY = (rayY < 0 ? posY - mapY : mapY + 1 - posY) * deltaY;
+
+        const items = this.game.items;
+        for (let i = 0; i < this.maxDepth; i++) {
+            const cell = cellAt(mapX, mapY);
+            if (sideX < sideY) {
+                const door = cell && items?.lockedDoor(cell, cellAt(mapX + stepX, mapY));
+                if (!cell || cell.walls[stepX > 0 ? 'right' : 'left'] || door) {
+                    return { distance: sideX, side: 'x', along: (posY + sideX * rayY) % 1, door };
+                }
+                mapX += stepX;
+                sideX += deltaX;
+            } else {
+                const door = cell && items?.lockedDoor(cell, cellAt(mapX, mapY + stepY));
+                if (!cell || cell.walls[stepY > 0 ? 'bottom' : 'top'] || door) {
+                    return { distance: sideY, side: 'y', along: (posX + sideY * rayX) % 1, door };
+                }
+                mapY += stepY;
+                sideY += deltaY;
+            }
+        }
+        return { distance: Infinity };
+    }
+
+    // An emoji (the cheese, a cat) standing on the floor, on a glow if given, hidden behind nearer walls
+    drawSprite(offsetX, offsetY, camera, depths, emoji, glow) {
+        const game = this.game;
+        const ctx = game.ctx;
+        const { width, height } = game.canvas;
+        const { dirX, dirY, planeX, planeY } = camera;
+
+        // Into camera space: across the view and depth along it
+        const inverse = 1 / (planeX * dirY - dirX * planeY);
+        const across = inverse * (dirY * offsetX - dirX * offsetY);
+        const depth = inverse * (-planeY * offsetX + planeX * offsetY);
+        if (depth < 0.2) return;
+
+        const screenX = Math.floor(width / 2 * (1 + across / depth));
+        if (screenX < 0 || screenX >= width || depths[screenX] < depth) return;
+
+        const size = height * this.wallHeight / depth * 0.35;
+        const screenY = height / 2 + height * this.wallHeight / depth * 0.3;
+        ctx.save();
+        if (glow) {
+            ctx.beginPath();
+            ctx.arc(screenX, screenY, size * 0.8, 0, Math.PI * 2);
+            ctx.fillStyle = glow;
+            ctx.fill();
+        }
+        ctx.font = `${size}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(emoji, screenX, screenY);
+        ctx.restore();
+    }
+}
@@ -2,6 +2,55 @@
  * Mazer Game - Main Game Logic
  */
 class MazerGame {
+    // Where the movement actions of InputManager lead, by grid topology. A list of
+    // directions takes the first one that is open (a polar cell can have two cells beyond it).
+    // On hex grids left and right (A and D) go down the slanted sides, like the diagonals below.
+    // On polar grids they go round the ring, clockwise being right on the upper half of the
+    // maze and left on the lower half, see actionDirection().
+    static ACTION_DIRECTIONS = {
+        square: { up: 'top', right: 'right', down: 'bottom', left: 'left' },
+        hex: {
+            upLeft: 'northWest', up: 'north', upRight: 'northEast',
+            downLeft: 'southWest', down: 'south', downRight: 'southEast',
+            left: 'southWest', right: 'southEast'
+        },
+        polar: {
+            up: 'inward', down: PolarTopology.OUTWARD_DIRECTIONS,
+            left: 'counterClockwise', right: 'clockwise'
+        }
+    };
+    
+    // Actions that take the stairs on mazes with several floors, on any topology
+    static FLOOR_ACTIONS = { floorUp: 'up', floorDown: 'down' };
+    
+    // How keys are shown in the key bindings panel, when not as themselves
+    static KEY_LABELS = {
+        ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', ' ': 'Space', PageUp: 'PgUp', PageDown: 'PgDn'
+    };
+    
+    // Names of the actions in the key bindings panel, in the order they're listed
+    static ACTION_LABELS = {
+        up: 'Up / forward', down: 'Down / back', left: 'Left / turn left', right: 'Right / turn right',
+        upLeft: 'Up-left (hex)', upRight: 'Up-right (hex)', downLeft: 'Down-left (hex)', downRight: 'Down-right (hex)',
+        floorUp: 'Stairs up', floorDown: 'Stairs down', hint: 'Hint', view: 'Switch view', minimap: 'Map',
+        zoomIn: 'Zoom in', zoomOut: 'Zoom out'
+    };
+    
+    // Where the best run through each maze is kept, see saveBestRun()
+    static BEST_RUNS_KEY = 'mazer.bestRuns';
+    
+    // Where an unfinished level is kept to resume: the maze once it's set up, and the
+    // progress through it whenever that changes (see saveMaze() and saveGame())
+    static SAVED_MAZE_KEY = 'mazer.savedMaze';
+    static SAVED_GAME_KEY = 'mazer.savedGame';
+    
+    // Fog of war settings, in the order the Fog button goes through them
+    static VISIBILITY_MODES = ['full', 'radius', 'sight'];
+    static VISIBILITY_LABELS = { full: 'Off', radius: 'Radius', sight: 'Sight' };
+    
+    // Settings the maze generator checks against each other, see changeSetting()
+    static MAZE_SETTINGS = ['mazeAlgorithm', 'mazeTopology', 'mazeFloors', 'weave'];
+    
     constructor() {
         this.canvas = document.getElementById('maze-canvas');
         this.ctx = this.canvas.getContext('2d');
@@ -11,47 +60,234 @@ class MazerGame {
         // Set to false for instant maze generation (production mode)
         this.ANIMATE_MAZE_GENERATION = true;
         this.mazeAnimationDelay = 15; // milliseconds between steps (lower = faster)
+        this.maxAnimationTicks = 600; // Bigger mazes take several steps at a time to finish within this many
         // =====================================================
         
         // ========== MAZE COMPLEXITY OPTIONS ==========
-        // Algorithm: 'huntAndKill' (complex), 'backtrack' (simple corridors), 'kruskal' (branching)
+        // Algorithm: 'huntAndKill' (complex), 'backtrack' (simple corridors), 'kruskal' (branching),
+        // 'prim', 'wilson', 'aldousBroder', 'growingTree', 'binaryTree', 'sidewinder', 'eller'
+        // (see js/maze.js for what each looks like)
         this.mazeAlgorithm = 'huntAndKill';
+        // Grid: 'square', 'hex' (six-sided cells, moved with Q/W/E/A/S/D) or 'polar'
+        // (rings around the exit at the center, up/down move in and out, left/right go around)
+        this.mazeTopology = 'square';
+        // Shape: null for the full rectangle, or a mask (2D boolean array, ASCII art or an
+        // image, see js/mask.js). Images are rescaled to each level's size.
+        // Square and hex grids only. The Shape button loads an image.
+        this.mazeMask = null;
+        // Floors: stacked copies of the grid joined by stairs (PageUp/PageDown to climb),
+        // the exit is on the top floor. Not for the row by row algorithms.
+        this.mazeFloors = 1;
+        // Weave: 0-1, how often passages tunnel under a crossing corridor (0 = flat maze).
+        // Square grids with the kruskal, backtrack, huntAndKill or growingTree algorithm only.
+        this.weave = 0;
         // Braiding: 0-1, removes dead ends to create loops (0 = perfect maze, 0.5 = half dead ends removed)
         this.braidingFactor = 0.3;
         // Extra wall removal: 0-1, creates additional shortcuts (0 = none, 0.1 = 10% extra walls removed)
         this.extraWallRemoval = 0.05;
+        // Difficulty check: regenerate mazes whose difficulty score (0-100, see
+        // MazeGenerator.analyze) falls outside the range for the level, see getDifficultyRange()
+        this.ENFORCE_DIFFICULTY = true;
+        this.maxGenerationAttempts = 10; // Keep the closest maze if none fit
+        this.generationCellBudget = 40000; // Cells generated across the attempts, so big mazes get fewer
         // ==============================================
         
+        // ========== FIXED LEVELS ==========
+        // Mazes to play instead of generating one, indexed by level - 1.
+        // Entries are JSON objects from MazeGenerator.toJSON() or codes from encode().
+        this.levelPack = [];
+        // ==================================
+        
+        // ========== ENDLESS MODE ==========
+        // One ever-deepening maze: get as deep as possible before time runs out
+        this.endlessWidth = 12; // Cells across
+        this.endlessViewRows = 12; // Rows the view is zoomed to fit, the camera follows the player
+        this.endlessTimeLimit = 120; // Seconds
+        this.endlessRowsAhead = 20; // Rows kept generated below the player
+        this.endlessRowsBehind = 20; // Rows kept above the player before being discarded
+        // ==================================
+        
+        // Hint: number of steps of the optimal path shown when hints are on (H key)
+        this.hintSteps = 5;
+        
+        // ========== INPUT ==========
+        // Keys (remappable with the Keys button), swipes, the on-screen D-pad and gamepads
+        // all go through InputManager (js/input.js)
+        this.repeatDelay = 250; // Milliseconds a move is held before it repeats
+        this.repeatRate = 8; // Repeated moves per second while held
+        this.gamepadDeadZone = 0.35; // Stick travel (0-1) ignored around the center
+        this.swipeDistance = 30; // Pixels a touch must travel to count as a swipe
+        this.doubleTapTime = 300; // Milliseconds between two presses of a move to run (as does Shift)
+        this.showDpad = 'auto'; // On-screen D-pad: true, false or 'auto' (touch screens only)
+        // ===========================
+        
+        // ========== FOG OF WAR ==========
+        // Visibility: 'full' (whole maze shown), 'radius' (only cells near the player are lit)
+        // or 'sight' (only cells in view down the open passages, no further than the radius).
+        // Cells seen before stay dimly shown. The Fog button switches mode during a game.
+        this.visibility = 'full';
+        this.fogRadius = 3.5; // Cells, the light fades out toward the edge
+        // ================================
+        
+        // ========== FIRST-PERSON VIEW ==========
+        // View: 'topDown' or 'firstPerson' (raycast from the mouse's eye, square grids only).
+        // The View button or V switches. In first person ←/→ turn and ↑/↓ step forward and back.
+        this.view = 'topDown';
+        this.showMinimap = true; // Small top-down map in a corner of the first-person view (M key)
+        this.minimapScale = 0.3; // Minimap width as a share of the canvas
+        // =======================================
+        
+        // ========== REPLAYS ==========
+        // Every level is recorded (js/replay.js). Finished runs can be watched again, raced
+        // or saved to a file from the Replays panel, and the best run through each maze is
+        // kept to race along as a ghost whenever that maze comes up again.
+        this.playbackSpeeds = [0.5, 1, 2, 4]; // Choices in the Replays panel
+        this.playbackSpeed = 1;
+        this.showGhost = true;
+        this.ghostOpacity = 0.4;
+        this.maxSavedRuns = 20; // Best runs kept in localStorage, the oldest mazes are forgotten
+        // ==============================
+        
+        // ========== CATS ==========
+        // Cats roam each level (js/cats.js) and send the mouse back to the start if they
+        // catch it. Behaviors, handed out in turn: 'wander' (a random way at every junction),
+        // 'patrol' (back and forth along a stretch of passage) or 'chase' (after the mouse by
+        // the shortest route once it's within catSightRange moves). Loops left by braiding
+        // give the mouse a way round them.
+        this.catCount = 0; // Cats per level, 0 for none
+        this.catBehaviors = ['chase', 'wander', 'patrol'];
+        this.catTick = 0.4; // Seconds between cat moves, every cat takes one step a tick
+        this.catSightRange = 6; // Moves away a chasing cat notices the mouse
+        this.catBeatLength = 8; // Moves along a patrolling cat's beat
+        this.catSpawnDistance = 10; // Fewest moves from the mouse a cat starts, where the maze allows
+        // ==========================
+        
+        // ========== ITEMS ==========
+        // Colored keys and the locked doors on the way to the exit they open, and crumbs to
+        // eat along the way (js/items.js). Every key can be reached before its door.
+        this.lockedDoors = 0; // Doors per level, up to 4 (one of each color), 0 for none
+        this.crumbCount = 0; // Crumbs per level, 0 for none
+        // ===========================
+        
+        // ========== VIEW ==========
+        // The canvas fills the window and the camera follows the mouse round mazes too big
+        // for it. Each maze starts zoomed to fit whole if its cells can stay minCellPixels
+        // across, and never bigger than cellSize; the wheel, a pinch or +/- zoom from there.
+        this.minCellPixels = 16; // Smallest cells a maze is fitted at, bigger mazes scroll
+        this.minZoomPixels = 3; // Smallest cells zooming out goes to
+        this.maxZoom = 3; // Biggest cells zooming in goes to, in multiples of cellSize
+        this.keyZoom = 1.25; // Zoom per press of + or -
+        this.cameraSpeed = 5; // How quickly the camera catches up, share of the way per second
+        this.minCanvasSize = 240; // Pixels, however small the window
+        this.maxLayerPixels = 4096; // Widest the cached maze layer gets, big mazes are cached at fewer pixels per cell
+        // ==========================
+        
         // Game settings
         this.cellSize = 45;  // Increased from 40 for larger cells and mouse
         this.wallThickness = 2;
         this.baseMazeSize = 10; // Starting maze size
         
         // Game state
+        this.mode = 'levels'; // 'levels', 'endless' or 'daily'
         this.level = 1;
+        this.depth = 0; // Deepest row reached in endless mode
+        this.seed = null; // Seed of the current maze
+        this.requestedSeed = null; // Seed to use for the next maze (from the URL)
+        this.requestedMaze = null; // Serialized maze to load instead of generating (from the URL)
+        this.requestedDaily = null; // Date of a daily maze to open (from the URL)
+        this.dailyDate = null; // Date of the daily maze being played
+        this.dailyScored = false; // Whether this run through it is the day's scored attempt
         this.moves = 0;
-        this.startTime = null;
+        this.startTime = null; // When the clock last started, null while it's stopped
+        this.elapsedBefore = 0; // Milliseconds counted before startTime: earlier sessions and stretches before a pause
         this.timerInterval = null;
+        this.paused = false; // Waiting for the resume offer to be answered: clock stopped, moves ignored
+        this.savedMazeId = null; // Maze saved to resume (see saveMaze()), null when this game isn't saved
+        this.resumeFrom = null; // Saved progress to pick up on the next maze set up, see offerResume()
         this.gameWon = false;
         this.pendingWin = false; // Win detected but waiting for animation
+        this.pendingCatch = false; // Caught by a cat, back to the start once the move's animation ends
+        this.finishTime = null; // Milliseconds into the level the exit was reached
+        this.advanceTimeout = null; // Pending move to the next level after a win
+        this.showHint = false;
+        this.par = 0; // Fewest moves from start to exit
         
         // Maze generation animation state
         this.isGeneratingMaze = false;
         this.generationSteps = [];
         this.currentGenStep = 0;
+        this.stepsPerTick = 1;
         this.displayGrid = null; // Grid state for animation display
+        
+        // Fog of war state, reset with every maze
+        this.litCells = new Set(); // Cells in view this frame
+        this.seenCells = new WeakSet(); // Cells ever in view, shown dimly
+        this.fogLayers = null; // Offscreen canvases for the fog, created on first use
+        
+        // Cached maze layer, see drawMazeLayer()
+        this.mazeLayer = null; // { canvas, ctx, key, floor, pixels, pad, transform }
+        this.dirtyCells = new Set(); // Cells changed since the layer was last drawn on
         this.currentCarveHead = null; // Current position of the "carving" head
+        this.generationTimeout = null; // Next scheduled animation step
         
         // Player grid position (logical position in maze)
         this.player = { x: 0, y: 0 };
         
-        // Player visual position (for smooth animation)
+        // Player visual position (for smooth animation), the cell center in cell units
         this.playerVisual = { x: 0, y: 0 };
         
+        // Replays: the run being recorded, the last one finished (or imported), the one being
+        // watched ({ replay, index, time }) and the ghost racing alongside ({ trace, index, visual })
+        this.recording = null;
+        this.replay = null;
+        this.playback = null;
+        this.ghost = null;
+        this.requestedGhost = null; // Run to race on the next maze set up, instead of the saved best
+        
+        // Keys, doors and crumbs on the level
+        this.items = null;
+        
+        // Cats on the level, and seconds toward their next step
+        this.cats = [];
+        this.catClock = 0;
+        
+        // Personal bests for every maze finished
+        this.leaderboard = new Leaderboard();
+        
+        // Daily maze results and streak
+        this.daily = new DailyChallenge();
+        
+        // Top-left of the view in cells, easing after the player, and the scale:
+        // cells are cellSize * zoom pixels across
+        this.camera = { x: 0, y: 0 };
+        this.zoom = 1;
+        
+        // Raycaster for the first-person view, facing the way the player last turned
+        this.firstPerson = new FirstPersonView(this);
+        
+        this.input = new InputManager((action, repeated, run) => this.handleAction(action, repeated, run), {
+            repeatDelay: this.repeatDelay,
+            repeatRate: this.repeatRate,
+            deadZone: this.gamepadDeadZone,
+            swipeDistance: this.swipeDistance,
+            doubleTapTime: this.doubleTapTime,
+            onTap: (clientX, clientY) => this.handleTap(clientX, clientY),
+            onZoom: (factor) => this.zoomBy(factor)
+        });
+        
         // Animation settings
         this.moveSpeed = 8; // Cells per second
         this.isMoving = false;
         this.moveQueue = []; // Queue of pending moves
+        this.run = null; // Run to the next junction: { direction, from } (see startRun())
+        this.walkPath = null; // Cells left to walk to a clicked cell, in order
+        this.hoverPosition = null; // Cell under the mouse pointer, to preview the walk there
+        this.walkPreview = null; // { key, path } of the last preview, found again when either end moves
+        
+        // Settings panel: players can change the options listed in Settings.FIELDS (js/settings.js),
+        // the values set above are their defaults. Changes take effect with the next maze.
+        this.settings = new Settings(Object.fromEntries(Object.keys(Settings.FIELDS).map(name => [name, this[name]])));
+        this.applySettings();
         
         // Game loop
         this.lastFrameTime = 0;
@@ -61,6 +297,8 @@ class MazerGame {
         this.maze = null;
         this.mazeGenerator = null;
         this.exit = { x: 0, y: 0 };
+        this.exitDistances = null; // Moves to the exit from every cell, for hints
+        this.hintRoute = null; // Hint route by way of the keys, with the cell, keys held and items it was found for
         
         // Colors
         this.colors = {
@@ -70,6 +308,11 @@ class MazerGame {
             playerGlow: 'rgba(59, 130, 246, 0.3)',
             exit: '#4ade80',
             exitGlow: 'rgba(74, 222, 128, 0.3)',
+            hint: 'rgba(255, 200, 50, 0.8)',
+            walk: 'rgba(59, 130, 246, 0.6)', // Route to a clicked or hovered cell
+            stairs: '#c084fc',
+            tunnel: '#121224',
+            fog: 'rgba(26, 26, 46, 0.75)', // Background, over cells remembered but out of view
             path: '#252540'
         };
         
@@ -77,8 +320,26 @@ class MazerGame {
     }
     
     init() {
+        this.readUrlParams();
         this.setupEventListeners();
-        this.startNewGame();
+        this.resizeCanvas();
+        
+        // Offer to pick up a level left unfinished. The address bar always holds the current
+        // maze, so a reload still offers it, but a link to some other maze opens that maze.
+        const saved = this.loadSavedGame();
+        const linked = this.requestedMaze ?? this.requestedSeed ??
+            (this.requestedDaily !== null ? DailyChallenge.seed(this.requestedDaily) : null);
+        if (saved && (linked === null || linked === saved.generator.seed || linked === saved.generator.encode())) {
+            this.requestedSeed = null;
+            this.requestedMaze = null;
+            this.requestedDaily = null;
+            this.offerResume(saved);
+        } else if (this.requestedDaily !== null) {
+            this.startDailyGame(this.requestedDaily);
+        } else {
+            this.startNewGame();
+        }
+        this.updateDailyButton();
         this.startGameLoop();
     }
     
@@ -104,12 +365,143 @@ class MazerGame {
     update(deltaTime) {
         // Always process movement animation, even during pending win
         // (gameWon blocks new input, but animation must complete)
+        this.input.update();
+        this.updatePlayback(deltaTime);
         this.updatePlayerMovement(deltaTime);
+        this.updateGhost(deltaTime);
+        this.updateCats(deltaTime);
+        this.updateCamera(deltaTime);
+        this.updateFog();
+        this.firstPerson.update(deltaTime);
+    }
+    
+    // Ease the camera toward its target, so it scrolls smoothly after the player
+    updateCamera(deltaTime) {
+        if (!this.mazeGenerator) return;
+        const target = this.getCameraTarget();
+        const ease = Math.min(1, deltaTime * this.cameraSpeed);
+        this.camera.x += (target.x - this.camera.x) * ease;
+        this.camera.y += (target.y - this.camera.y) * ease;
+    }
+    
+    /**
+     * Where the camera is heading: the view centered on the player (or the carve head
+     * while the maze is generated), but no further past the maze's edges than it has to.
+     * A maze narrower than the view is centered across it.
+     */
+    getCameraTarget() {
+        const topology = this.mazeGenerator.topology;
+        const maze = topology.size(); // Endless mazes are infinitely tall
+        const view = this.getViewSize();
+        const head = this.isGeneratingMaze ? this.currentCarveHead : null;
+        const focus = head ? topology.center(head.x, head.y) :
+            this.isGeneratingMaze ? { x: maze.width / 2, y: 0 } : this.playerVisual;
+        const axis = (center, viewLength, mazeLength) => mazeLength <= viewLength ? (mazeLength - viewLength) / 2 :
+            Math.min(Math.max(center - viewLength / 2, 0), mazeLength - viewLength);
+        return { x: axis(focus.x, view.width, maze.width), y: axis(focus.y, view.height, maze.height) };
+    }
+    
+    // Size of the view in cells
+    getViewSize() {
+        const pixels = this.cellSize * this.zoom;
+        return { width: this.canvas.width / pixels, height: this.canvas.height / pixels };
+    }
+    
+    // Scale a context to the zoom and scroll it to the camera, for drawing in cellSize units
+    applyCamera(ctx) {
+        ctx.scale(this.zoom, this.zoom);
+        ctx.translate(-this.camera.x * this.cellSize, -this.camera.y * this.cellSize);
+    }
+    
+    /**
+     * Zoom in (factor over 1) or out, keeping the middle of the view where it is, between
+     * cells minZoomPixels across and maxZoom times cellSize
+     */
+    zoomBy(factor) {
+        const before = this.getViewSize();
+        this.zoom = Math.min(Math.max(this.zoom * factor, this.minZoomPixels / this.cellSize), this.maxZoom);
+        const after = this.getViewSize();
+        this.camera.x += (before.width - after.width) / 2;
+        this.camera.y += (before.height - after.height) / 2;
+    }
+    
+    /**
+     * Zoom a new maze to fit the view, within minCellPixels and cellSize per cell, and
+     * point the camera straight at its target. size, in cells, defaults to the whole maze.
+     */
+    fitView(size = this.mazeGenerator.topology.size()) {
+        const fit = Math.min(this.canvas.width / size.width, this.canvas.height / size.height);
+        this.zoom = Math.min(Math.max(fit, this.minCellPixels), this.cellSize) / this.cellSize;
+        this.camera = this.getCameraTarget();
+    }
+    
+    updateFog() {
+        if (!this.isFogged()) return;
+        
+        // Endless mazes are painted afresh each frame, not on the layer, so there's nothing
+        // to repaint, and with rows coming and going the set would only grow
+        const layered = this.mode !== 'endless';
+        this.litCells = this.findLitCells();
+        for (const cell of this.litCells) {
+            if (!this.seenCells.has(cell)) {
+                this.seenCells.add(cell);
+                if (layered) {
+                    this.dirtyCells.add(cell);
+                }
+            }
+        }
+    }
+    
+    // Fog of war applies once the maze is generated
+    isFogged() {
+        return this.visibility !== 'full' && this.mazeGenerator !== null && !this.isGeneratingMaze;
+    }
+    
+    /**
+     * Cells the player can see: the cells within fogRadius of them, or in 'sight' mode
+     * the ones down each open passage leading straight on from their cell, with a peek
+     * into the side openings along the way
+     */
+    findLitCells() {
+        const generator = this.mazeGenerator;
+        const topology = generator.topology;
+        const floor = topology.floorOf(this.player.y);
+        const inRange = (cell) => {
+            if (!cell || topology.floorOf(cell.y) !== floor) return false;
+            const center = topology.center(cell.x, cell.y);
+            return Math.hypot(center.x - this.playerVisual.x, center.y - this.playerVisual.y) <= this.fogRadius;
+        };
+        
+        const start = generator.getCell(this.player.x, this.player.y);
+        const lit = new Set([start]);
+        if (this.visibility === 'radius') {
+            for (const position of topology.positionsWithin(this.playerVisual, this.fogRadius, floor)) {
+                const cell = generator.getCell(position.x, position.y);
+                if (inRange(cell)) lit.add(cell);
+            }
+            return lit;
+        }
+        
+        for (const direction of topology.directions) {
+            // Going around a ring of a polar maze can lead back to the start
+            const line = new Set([start]);
+            let cell = generator.getPassage(start, direction);
+            while (inRange(cell) && !line.has(cell)) {
+                line.add(cell);
+                lit.add(cell);
+                for (const side of generator.getOpenNeighbors(cell)) {
+                    if (inRange(side)) lit.add(side);
+                }
+                cell = generator.getPassage(cell, direction);
+            }
+        }
+        return lit;
     }
     
     updatePlayerMovement(deltaTime) {
-        const targetX = this.player.x;
-        const targetY = this.player.y;
+        const target = this.mazeGenerator.topology.center(this.player.x, this.player.y);
+        const targetX = target.x;
+        const targetY = target.y;
         
         const dx = targetX - this.playerVisual.x;
         const dy = targetY - this.playerVisual.y;
@@ -126,16 +518,23 @@ class MazerGame {
                 this.triggerWin();
                 return;
             }
+            if (this.pendingCatch) {
+                this.caughtByCat();
+                return;
+            }
             
-            // Process next move in queue if any
+            // Process next move in queue if any, then carry on running
             if (this.moveQueue.length > 0) {
-                const nextMove = this.moveQueue.shift();
-                this.tryMove(nextMove.dx, nextMove.dy);
+                this.tryMove(this.moveQueue.shift());
+            } else if (this.run) {
+                this.continueRun();
+            } else if (this.walkPath) {
+                this.continueWalk();
             }
         } else {
-            // Move towards target
+            // Move towards target, faster when a replay is played fast
             this.isMoving = true;
-            const moveAmount = this.moveSpeed * deltaTime;
+            const moveAmount = this.moveSpeed * deltaTime * (this.playback ? this.playbackSpeed : 1);
             
             if (moveAmount >= distance) {
                 // Will reach target this frame
@@ -150,310 +549,1689 @@ class MazerGame {
         }
     }
     
-    setupEventListeners() {
-        // Keyboard controls
-        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    // Play the watched replay's moves as their time comes, through tryMove like the player's own
+    updatePlayback(deltaTime) {
+        const playback = this.playback;
+        if (!playback || this.isGeneratingMaze || this.gameWon || this.pendingWin) return;
         
-        // New game button
-        document.getElementById('new-game-btn').addEventListener('click', () => {
-            this.level = 1;
-            this.startNewGame();
-        });
+        playback.time += deltaTime * 1000 * this.playbackSpeed;
+        const moves = playback.replay.moves;
+        const directions = this.mazeGenerator.topology.directions;
+        while (playback.index < moves.length && moves[playback.index][0] <= playback.time && !this.pendingWin) {
+            this.tryMove(directions[moves[playback.index][1]]);
+            playback.index++;
+        }
+        this.updateTimer();
+        
+        // Reaching the exit ends it in triggerWin(), a run that stopped short ends when its moves run out
+        if (playback.index >= moves.length && !this.pendingWin && !this.isMoving) {
+            this.finishPlayback();
+        }
     }
     
-    handleKeyDown(e) {
-        if (this.gameWon || this.pendingWin || this.isGeneratingMaze) return;
-        
-        const key = e.key;
-        let dx = 0, dy = 0;
-        
-        switch (key) {
-            case 'ArrowUp':
-                dy = -1;
-                e.preventDefault();
-                break;
-            case 'ArrowDown':
-                dy = 1;
-                e.preventDefault();
-                break;
-            case 'ArrowLeft':
-                dx = -1;
-                e.preventDefault();
-                break;
-            case 'ArrowRight':
-                dx = 1;
-                e.preventDefault();
-                break;
-            default:
-                return;
+    // Move the ghost along its run in step with the clock, easing between cells like the player
+    updateGhost(deltaTime) {
+        const ghost = this.ghost;
+        if (!ghost) return;
+        
+        if (!this.gameWon) {
+            const elapsed = this.getElapsedTime();
+            while (ghost.index + 1 < ghost.trace.length && ghost.trace[ghost.index + 1].time <= elapsed) {
+                ghost.index++;
+            }
         }
         
-        this.queueMove(dx, dy);
+        const position = ghost.trace[ghost.index];
+        const target = this.mazeGenerator.topology.center(position.x, position.y);
+        const dx = target.x - ghost.visual.x;
+        const dy = target.y - ghost.visual.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const moveAmount = this.moveSpeed * deltaTime;
+        if (moveAmount >= distance) {
+            ghost.visual = target;
+        } else {
+            ghost.visual.x += dx * moveAmount / distance;
+            ghost.visual.y += dy * moveAmount / distance;
+        }
     }
     
-    queueMove(dx, dy) {
-        // If currently moving, queue the move (limit queue size)
-        if (this.isMoving) {
-            if (this.moveQueue.length < 2) {
-                this.moveQueue.push({ dx, dy });
+    // Step every cat once a tick, and ease them along between ticks
+    updateCats(deltaTime) {
+        if (this.cats.length === 0) return;
+        
+        if (!this.gameWon && !this.pendingWin && !this.pendingCatch && !this.paused && !this.isGeneratingMaze) {
+            this.catClock += deltaTime;
+            while (this.catClock >= this.catTick && !this.pendingCatch) {
+                this.catClock -= this.catTick;
+                const mouse = this.mazeGenerator.getCell(this.player.x, this.player.y);
+                for (const cat of this.cats) {
+                    cat.step(mouse);
+                }
+                this.checkCaught();
             }
-            return;
         }
         
-        this.tryMove(dx, dy);
+        for (const cat of this.cats) {
+            cat.update(deltaTime, this.moveSpeed);
+        }
     }
     
-    tryMove(dx, dy) {
-        const currentCell = this.maze[this.player.y][this.player.x];
-        const newX = this.player.x + dx;
-        const newY = this.player.y + dy;
+    setupEventListeners() {
+        // Keyboard, touch and gamepad controls
+        const dpad = document.getElementById('dpad');
+        this.input.attach(this.canvas, dpad);
+        const touchScreen = navigator.maxTouchPoints > 0;
+        dpad.classList.toggle('hidden', !(this.showDpad === 'auto' ? touchScreen : this.showDpad));
         
-        // Check bounds
-        if (newX < 0 || newX >= this.getMazeWidth() || 
-            newY < 0 || newY >= this.getMazeHeight()) {
-            return false;
+        // Hovering over a cell previews the route a click there would walk
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (e.pointerType === 'mouse') {
+                this.hoverPosition = this.positionAtClient(e.clientX, e.clientY);
+            }
+        });
+        this.canvas.addEventListener('pointerleave', () => {
+            this.hoverPosition = null;
+        });
+        
+        // Keys button: show or hide the key bindings
+        document.getElementById('keys-btn').addEventListener('click', () => {
+            const panel = document.getElementById('keys-panel');
+            panel.classList.toggle('hidden');
+            this.renderKeysPanel();
+        });
+        document.getElementById('keys-reset-btn').addEventListener('click', () => {
+            this.input.resetBindings();
+            this.renderKeysPanel();
+        });
+        document.getElementById('keys-close-btn').addEventListener('click', () => {
+            document.getElementById('keys-panel').classList.add('hidden');
+        });
+        
+        // Replays panel: watch, race, export or import the last finished run
+        const replaysPanel = document.getElementById('replays-panel');
+        const speedSelect = document.getElementById('replay-speed');
+        for (const speed of this.playbackSpeeds) {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}×`;
+            speedSelect.appendChild(option);
         }
+        document.getElementById('replays-btn').addEventListener('click', () => {
+            replaysPanel.classList.toggle('hidden');
+            this.renderReplaysPanel();
+        });
+        document.getElementById('replay-watch-btn').addEventListener('click', () => {
+            replaysPanel.classList.add('hidden');
+            this.watchReplay(this.replay);
+        });
+        document.getElementById('replay-race-btn').addEventListener('click', () => {
+            replaysPanel.classList.add('hidden');
+            this.raceReplay(this.replay);
+        });
+        document.getElementById('replay-export-btn').addEventListener('click', () => {
+            this.exportReplay(this.replay);
+        });
+        const replayInput = document.getElementById('replay-input');
+        document.getElementById('replay-import-btn').addEventListener('click', () => {
+            replayInput.click();
+        });
+        replayInput.addEventListener('change', () => {
+            const file = replayInput.files[0];
+            replayInput.value = '';
+            if (file) this.importReplay(file);
+        });
+        // Speed can change while a replay plays
+        speedSelect.addEventListener('change', () => {
+            this.playbackSpeed = parseFloat(speedSelect.value);
+        });
+        document.getElementById('ghost-toggle').addEventListener('change', (e) => {
+            this.showGhost = e.target.checked;
+            if (!this.showGhost) {
+                this.ghost = null;
+            }
+        });
+        document.getElementById('replays-close-btn').addEventListener('click', () => {
+            replaysPanel.classList.add('hidden');
+        });
+        
+        // Settings panel: changes are saved as they're made, Regenerate starts a maze with them now
+        const settingsPanel = document.getElementById('settings-panel');
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            settingsPanel.classList.toggle('hidden');
+            this.renderSettingsPanel();
+        });
+        document.getElementById('settings-regenerate-btn').addEventListener('click', () => {
+            settingsPanel.classList.add('hidden');
+            if (this.mode === 'endless') {
+                this.startEndlessGame();
+            } else {
+                // The daily maze doesn't follow the settings, so that's a level instead
+                this.mode = 'levels';
+                this.startNewGame();
+            }
+        });
+        document.getElementById('settings-reset-btn').addEventListener('click', () => {
+            this.settings.reset();
+            this.renderSettingsPanel();
+        });
+        document.getElementById('settings-close-btn').addEventListener('click', () => {
+            settingsPanel.classList.add('hidden');
+        });
+        
+        // Resume offer for a saved game
+        document.getElementById('resume-btn').addEventListener('click', () => this.resumeGame());
+        document.getElementById('resume-new-btn').addEventListener('click', () => {
+            this.clearSavedGame();
+            this.mode = 'levels';
+            this.level = 1;
+            this.startNewGame();
+        });
         
-        // Check walls
-        let canMove = false;
-        if (dx === 1 && !currentCell.walls.right) canMove = true;
-        if (dx === -1 && !currentCell.walls.left) canMove = true;
-        if (dy === 1 && !currentCell.walls.bottom) canMove = true;
-        if (dy === -1 && !currentCell.walls.top) canMove = true;
+        // The canvas keeps filling the window
+        window.addEventListener('resize', () => this.resizeCanvas());
         
-        if (canMove) {
-            this.player.x = newX;
-            this.player.y = newY;
-            this.isMoving = true;
-            this.moves++;
-            this.updateStats();
-            this.checkWin();
-            return true;
+        // The clock stops while the page is hidden, and the game is saved in case it's closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseTimer();
+                this.saveGame();
+            } else {
+                this.resumeTimer();
+            }
+        });
+        
+        // Results screen and leaderboard
+        document.getElementById('results-next-btn').addEventListener('click', () => this.nextLevel());
+        const leaderboardPanel = document.getElementById('leaderboard-panel');
+        document.getElementById('leaderboard-btn').addEventListener('click', () => {
+            leaderboardPanel.classList.toggle('hidden');
+            this.renderLeaderboard();
+        });
+        for (const id of ['leaderboard-algorithm', 'leaderboard-size']) {
+            document.getElementById(id).addEventListener('change', () => this.renderLeaderboard());
         }
+        document.getElementById('leaderboard-close-btn').addEventListener('click', () => {
+            leaderboardPanel.classList.add('hidden');
+        });
         
-        return false;
+        // New game button
+        document.getElementById('new-game-btn').addEventListener('click', () => {
+            this.mode = 'levels';
+            this.level = 1;
+            this.startNewGame();
+        });
+        
+        // Daily maze button, and its results screen
+        document.getElementById('daily-btn').addEventListener('click', () => {
+            this.startDailyGame();
+        });
+        document.getElementById('daily-copy-btn').addEventListener('click', () => this.copyDailyResult());
+        document.getElementById('daily-close-btn').addEventListener('click', () => {
+            document.getElementById('daily-panel').classList.add('hidden');
+            this.mode = 'levels';
+            this.startNewGame();
+        });
+        
+        // Endless mode button
+        document.getElementById('endless-btn').addEventListener('click', () => {
+            this.startEndlessGame();
+        });
+        
+        // View button: top-down or first person
+        document.getElementById('view-btn').addEventListener('click', () => {
+            this.setView(this.view === 'firstPerson' ? 'topDown' : 'firstPerson');
+        });
+        
+        // Fog button: cycle through the visibility modes, keeping the current maze
+        document.getElementById('fog-btn').addEventListener('click', () => {
+            const modes = MazerGame.VISIBILITY_MODES;
+            this.setVisibility(modes[(modes.indexOf(this.visibility) + 1) % modes.length]);
+        });
+        
+        // Shape button: pick an image to cut the maze to, or go back to a rectangle
+        const shapeInput = document.getElementById('shape-input');
+        document.getElementById('shape-btn').addEventListener('click', () => {
+            if (this.mazeMask) {
+                this.setMazeMask(null);
+            } else {
+                shapeInput.click();
+            }
+        });
+        shapeInput.addEventListener('change', () => {
+            const file = shapeInput.files[0];
+            shapeInput.value = '';
+            if (file) this.loadMaskImage(file);
+        });
     }
     
-    checkWin() {
-        if (this.player.x === this.exit.x && this.player.y === this.exit.y) {
-            // Mark win as pending - will trigger when animation completes
-            this.pendingWin = true;
-            this.moveQueue = []; // Clear any queued moves
+    setView(view) {
+        if (view === 'firstPerson' && this.mazeGenerator && !FirstPersonView.supports(this.mazeGenerator.topology)) {
+            this.showMessage('⚠️ First-person view needs a square maze');
+            return;
         }
+        this.view = view;
+        document.getElementById('view-btn').textContent =
+            view === 'firstPerson' ? 'View: First Person' : 'View: Top-Down';
     }
     
-    triggerWin() {
-        this.pendingWin = false;
-        this.gameWon = true;
-        this.stopTimer();
-        this.showMessage(`🎉 Level ${this.level} Complete!`);
-        
-        // Auto advance to next level after delay
-        setTimeout(() => {
-            this.hideMessage();
-            this.level++;
-            this.startNewGame();
-        }, 2000);
+    // First person is only drawn for square mazes, and not while one is being generated
+    isFirstPerson() {
+        return this.view === 'firstPerson' && !this.isGeneratingMaze && this.maze !== null &&
+            FirstPersonView.supports(this.mazeGenerator.topology);
     }
     
-    getMazeWidth() {
-        // Increase maze size with level
-        return this.baseMazeSize + Math.floor((this.level - 1) * 2);
+    setVisibility(mode) {
+        this.visibility = mode;
+        document.getElementById('fog-btn').textContent = `Fog: ${MazerGame.VISIBILITY_LABELS[mode]}`;
+        this.updateFog();
     }
     
-    getMazeHeight() {
-        return this.baseMazeSize + Math.floor((this.level - 1) * 2);
+    setMazeMask(mask) {
+        if (mask) {
+            // Reject shapes with no cells (or grids that can't be masked) before
+            // leaving the current maze. The first level is the smallest, so the coarsest.
+            const { mazeTopology, baseMazeSize: size } = this.settings.values;
+            try {
+                GridTopology.create(mazeTopology, size, size, MazeMask.from(mask, size, size));
+            } catch (e) {
+                this.showMessage(`⚠️ ${e.message}`);
+                return;
+            }
+        }
+        
+        this.mazeMask = mask;
+        document.getElementById('shape-btn').textContent = mask ? 'Clear Shape' : 'Shape';
+        this.mode = 'levels';
+        this.startNewGame();
     }
     
-    startNewGame() {
-        this.gameWon = false;
-        this.moves = 0;
-        this.isGeneratingMaze = false;
-        this.currentCarveHead = null;
-        
-        // Generate new maze
-        const width = this.getMazeWidth();
-        const height = this.getMazeHeight();
-        
-        // Limit maze size for playability
-        const maxSize = 25;
-        const actualWidth = Math.min(width, maxSize);
-        const actualHeight = Math.min(height, maxSize);
-        
-        this.mazeGenerator = new MazeGenerator(actualWidth, actualHeight, {
-            algorithm: this.mazeAlgorithm,
-            braidingFactor: this.braidingFactor,
-            extraWallRemoval: this.extraWallRemoval
-        });
-        
-        // Resize canvas first
-        this.canvas.width = actualWidth * this.cellSize;
-        this.canvas.height = actualHeight * this.cellSize;
-        
-        if (this.ANIMATE_MAZE_GENERATION) {
-            // Generate with step recording for animation
-            this.maze = this.mazeGenerator.generate(true);
-            this.generationSteps = this.mazeGenerator.getGenerationSteps();
-            this.currentGenStep = 0;
-            
-            // Create a blank display grid (all walls, nothing visited)
-            this.initDisplayGrid(actualWidth, actualHeight);
-            this.isGeneratingMaze = true;
-            
-            // Start the animation
-            this.animateMazeGeneration();
-        } else {
-            // Instant generation (no animation)
-            this.maze = this.mazeGenerator.generate(false);
-            this.finishMazeSetup();
+    // Decode an image file and use it as the maze's shape
+    loadMaskImage(file) {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            this.setMazeMask(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            this.showMessage('⚠️ Could not read that image');
+        };
+        image.src = url;
+    }
+    
+    /**
+     * Read ?seed=…&level=… (or ?maze=<code>, or ?daily=<date>) so a maze can be shared by link
+     */
+    readUrlParams() {
+        const params = new URLSearchParams(window.location.search);
+        const level = parseInt(params.get('level'), 10);
+        if (level > 0) {
+            this.level = level;
+        }
+        if (params.get('seed')) {
+            this.requestedSeed = params.get('seed');
+        }
+        if (params.get('maze')) {
+            this.requestedMaze = params.get('maze');
+        }
+        if (DailyChallenge.isDateKey(params.get('daily'))) {
+            this.requestedDaily = params.get('daily');
         }
     }
     
-    initDisplayGrid(width, height) {
-        // Create a grid with all walls intact for animation
-        this.displayGrid = [];
-        for (let y = 0; y < height; y++) {
-            const row = [];
-            for (let x = 0; x < width; x++) {
-                row.push({
-                    x: x,
-                    y: y,
-                    walls: { top: true, right: true, bottom: true, left: true },
-                    visited: false
-                });
+    /**
+     * Keep the address bar pointing at the current maze so it can be copied and shared
+     */
+    updateUrl() {
+        const params = new URLSearchParams(window.location.search);
+        if (this.mode === 'daily') {
+            // The daily maze is rebuilt from its date
+            params.set('daily', this.dailyDate);
+            params.delete('seed');
+            params.delete('maze');
+            params.delete('level');
+        } else {
+            // A seed alone can't rebuild a shaped maze, so those are shared whole too
+            if (this.seed !== null && !this.mazeGenerator.topology.mask) {
+                params.set('seed', this.seed);
+                params.delete('maze');
+            } else {
+                // Loaded mazes may have no seed, share the maze itself instead
+                params.set('maze', this.mazeGenerator.encode());
+                params.delete('seed');
             }
-            this.displayGrid.push(row);
+            params.set('level', this.level);
+            params.delete('daily');
+        }
+        try {
+            history.replaceState(null, '', `${window.location.pathname}?${params}`);
+        } catch (e) {
+            // Some browsers refuse history changes for file:// pages - the seed display still works
         }
     }
     
-    animateMazeGeneration() {
-        if (this.currentGenStep >= this.generationSteps.length) {
-            // Animation complete
-            this.isGeneratingMaze = false;
-            this.currentCarveHead = null;
-            this.displayGrid = null; // Use the real maze now
-            this.finishMazeSetup();
-            return;
+    /**
+     * Act on an action from InputManager. Repeats of a held move only queue when nothing
+     * else is queued or running, so the mouse stops soon after the move is let go.
+     * With run set, a move keeps going to the next junction.
+     */
+    handleAction(action, repeated = false, run = false) {
+        switch (action) {
+            case 'hint':
+                this.showHint = !this.showHint;
+                return;
+            case 'view':
+                this.setView(this.view === 'firstPerson' ? 'topDown' : 'firstPerson');
+                return;
+            case 'minimap':
+                this.showMinimap = !this.showMinimap;
+                return;
+            case 'zoomIn':
+                this.zoomBy(this.keyZoom);
+                return;
+            case 'zoomOut':
+                this.zoomBy(1 / this.keyZoom);
+                return;
         }
         
-        const step = this.generationSteps[this.currentGenStep];
+        if (this.gameWon || this.pendingWin || this.pendingCatch || this.isGeneratingMaze || this.playback || this.paused) return;
+        if (repeated && (this.moveQueue.length > 0 || this.run)) return;
         
-        if (step.type === 'visit') {
-            // Mark cell as visited
-            this.displayGrid[step.y][step.x].visited = true;
-            this.currentCarveHead = { x: step.x, y: step.y };
-        } else if (step.type === 'carve') {
-            // Remove walls between cells
-            const fromCell = this.displayGrid[step.fromY][step.fromX];
-            const toCell = this.displayGrid[step.toY][step.toX];
-            
-            const dx = step.toX - step.fromX;
-            const dy = step.toY - step.fromY;
-            
-            if (dx === 1) {
-                fromCell.walls.right = false;
-                toCell.walls.left = false;
-            } else if (dx === -1) {
-                fromCell.walls.left = false;
-                toCell.walls.right = false;
-            } else if (dy === 1) {
-                fromCell.walls.bottom = false;
-                toCell.walls.top = false;
-            } else if (dy === -1) {
-                fromCell.walls.top = false;
-                toCell.walls.bottom = false;
-            }
-            
-            toCell.visited = true;
-            this.currentCarveHead = { x: step.toX, y: step.toY };
-        } else if (step.type === 'backtrack') {
-            // Just update the carve head position during backtrack
-            this.currentCarveHead = { x: step.x, y: step.y };
-        } else if (step.type === 'hunt') {
-            // Hunt phase - jumping to a new location
-            this.displayGrid[step.y][step.x].visited = true;
-            this.currentCarveHead = { x: step.x, y: step.y };
-        } else if (step.type === 'braid' || step.type === 'extra') {
-            // Post-processing wall removal (braiding or extra shortcuts)
-            const fromCell = this.displayGrid[step.fromY][step.fromX];
-            const toCell = this.displayGrid[step.toY][step.toX];
-            
-            const dx = step.toX - step.fromX;
-            const dy = step.toY - step.fromY;
-            
-            if (dx === 1) {
-                fromCell.walls.right = false;
-                toCell.walls.left = false;
-            } else if (dx === -1) {
-                fromCell.walls.left = false;
-                toCell.walls.right = false;
-            } else if (dy === 1) {
-                fromCell.walls.bottom = false;
-                toCell.walls.top = false;
-            } else if (dy === -1) {
-                fromCell.walls.top = false;
-                toCell.walls.bottom = false;
+        if (this.isFirstPerson() && this.handleFirstPersonAction(action, run)) return;
+        
+        const topology = this.mazeGenerator.topology;
+        const direction = this.actionDirection(action);
+        if (direction) {
+            if (run) {
+                this.startRun(direction);
+            } else {
+                this.queueMove(direction);
             }
-            
-            this.currentCarveHead = { x: step.toX, y: step.toY };
+        } else if (topology.floors > 1 && MazerGame.FLOOR_ACTIONS[action]) {
+            this.queueMove(MazerGame.FLOOR_ACTIONS[action]);
         }
-        
-        this.currentGenStep++;
-        
-        // Schedule next step
-        setTimeout(() => this.animateMazeGeneration(), this.mazeAnimationDelay);
+    }
+    
+    // Where a movement action leads from the player's cell, so left and right on a polar
+    // grid go the way they look on screen: round the ring the other way on its lower half
+    actionDirection(action) {
+        const topology = this.mazeGenerator.topology;
+        const direction = MazerGame.ACTION_DIRECTIONS[topology.name][action];
+        if (topology.name === 'polar' && (action === 'left' || action === 'right')) {
+            const below = topology.center(this.player.x, this.player.y).y > topology.size().height / 2;
+            if (below) {
+                return direction === 'clockwise' ? 'counterClockwise' : 'clockwise';
+            }
+        }
+        return direction;
+    }
+    
+    // Movement relative to the way the mouse faces (only forward runs). Returns whether the action was used.
+    handleFirstPersonAction(action, run = false) {
+        switch (action) {
+            case 'left':
+                this.firstPerson.turn(-1);
+                return true;
+            case 'right':
+                this.firstPerson.turn(1);
+                return true;
+            case 'up':
+                if (run) {
+                    this.startRun(this.firstPerson.heading);
+                } else {
+                    this.queueMove(this.firstPerson.heading);
+                }
+                return true;
+            case 'down':
+                this.queueMove(this.firstPerson.backward);
+                return true;
+            default:
+                return false;
+        }
+    }
+    
+    // List every action with its keys; clicking one waits for a new key to bind to it
+    renderKeysPanel() {
+        const list = document.getElementById('keys-list');
+        list.innerHTML = '';
+        for (const [action, label] of Object.entries(MazerGame.ACTION_LABELS)) {
+            const row = document.createElement('div');
+            row.className = 'key-binding';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const button = document.createElement('button');
+            const keys = this.input.bindings[action] ?? [];
+            button.textContent = keys.map(key => MazerGame.KEY_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key)).join(' / ') || '-';
+            button.addEventListener('click', () => {
+                button.textContent = 'Press a key…';
+                this.input.captureKey(action, () => this.renderKeysPanel());
+            });
+            row.append(name, button);
+            list.appendChild(row);
+        }
+    }
+    
+    // List every setting with a control to change it, showing its current value
+    renderSettingsPanel() {
+        const list = document.getElementById('settings-list');
+        list.innerHTML = '';
+        for (const [name, field] of Object.entries(Settings.FIELDS)) {
+            const row = document.createElement('label');
+            row.className = 'panel-row';
+            const value = this.settings.values[name];
+            let control;
+            if (field.type === 'choice') {
+                control = document.createElement('select');
+                for (const choice of field.choices) {
+                    const option = document.createElement('option');
+                    option.value = choice;
+                    option.textContent = choice;
+                    control.appendChild(option);
+                }
+                control.value = value;
+            } else {
+                control = document.createElement('input');
+                control.type = field.type === 'boolean' ? 'checkbox' : 'number';
+                if (field.type === 'boolean') {
+                    control.checked = value;
+                } else {
+                    Object.assign(control, { min: field.min, max: field.max, step: field.step, value: String(value) });
+                }
+            }
+            control.addEventListener('change', () => {
+                const newValue = field.type === 'boolean' ? control.checked :
+                    field.type === 'number' ? parseFloat(control.value) : control.value;
+                const error = this.changeSetting(name, newValue);
+                control.classList.toggle('invalid', error !== null);
+                this.showSettingsError(error);
+            });
+            row.append(field.label, control);
+            list.appendChild(row);
+        }
+        this.showSettingsError(null);
+    }
+    
+    showSettingsError(error) {
+        const text = document.getElementById('settings-error');
+        text.textContent = error ?? '';
+        text.classList.toggle('hidden', error === null);
+    }
+    
+    /**
+     * Validate and save a change from the settings panel, for the next maze.
+     * Returns what's wrong with the value, or null if it was saved.
+     */
+    changeSetting(name, value) {
+        try {
+            value = this.settings.validate(name, value);
+            if (MazerGame.MAZE_SETTINGS.includes(name)) {
+                // Not every algorithm works with every grid, floors and weave: try a small
+                // maze with the change. Polar grids can't take the shape either.
+                const values = { ...this.settings.values, [name]: value };
+                new MazeGenerator(4, 4, {
+                    algorithm: values.mazeAlgorithm,
+                    topology: values.mazeTopology,
+                    floors: values.mazeFloors,
+                    weave: values.weave
+                }).generate(false);
+                if (this.mazeMask) {
+                    const size = values.baseMazeSize;
+                    GridTopology.create(values.mazeTopology, size, size, MazeMask.from(this.mazeMask, size, size));
+                }
+            }
+            this.settings.set(name, value);
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    }
+    
+    // Use the saved settings from here on, called as each maze starts. The daily maze has its own rules.
+    applySettings() {
+        Object.assign(this, this.settings.values);
+        if (this.mode === 'daily') {
+            Object.assign(this, DailyChallenge.RULES);
+        }
+    }
+    
+    queueMove(direction) {
+        // Any single move stops a run or walk
+        this.run = null;
+        this.walkPath = null;
+        
+        // If currently moving, queue the move (limit queue size)
+        if (this.isMoving) {
+            if (this.moveQueue.length < 2) {
+                this.moveQueue.push(direction);
+            }
+            return;
+        }
+        
+        this.tryMove(direction);
+    }
+    
+    /**
+     * Run: move in a direction, then keep following the corridor round its bends until
+     * reaching a junction, a dead end, stairs or the exit. Each cell is still a move of
+     * its own, taken when the one before has finished animating (see continueRun()),
+     * after any moves already queued.
+     */
+    startRun(direction) {
+        this.walkPath = null;
+        this.run = { direction, from: null };
+        if (!this.isMoving && this.moveQueue.length === 0) {
+            this.continueRun();
+        }
+    }
+    
+    // Take the next step of a run, or end it if the way on isn't a single passage
+    continueRun() {
+        const generator = this.mazeGenerator;
+        const cell = generator.getCell(this.player.x, this.player.y);
+        let direction = this.run.direction;
+        if (this.run.from) {
+            // Every way out but back where the run came from
+            const ways = generator.topology.directions.filter(d => {
+                const next = generator.getPassage(cell, d);
+                return next && next !== this.run.from;
+            });
+            direction = ways.length === 1 ? ways[0] : null;
+            if (Object.values(MazerGame.FLOOR_ACTIONS).includes(direction)) {
+                direction = null;
+            }
+        }
+        
+        // The move can end the run itself, by reaching the exit
+        this.run.from = cell;
+        if (!direction || !this.tryMove(direction)) {
+            this.run = null;
+            return;
+        }
+        if (this.isFirstPerson() && typeof direction === 'string') {
+            // Face round the bends
+            this.firstPerson.heading = direction;
+        }
+    }
+    
+    /**
+     * Walk to the clicked or tapped cell along the shortest route. Clicking again while
+     * walking stops instead.
+     */
+    handleTap(clientX, clientY) {
+        if (this.walkPath) {
+            this.walkPath = null;
+            return;
+        }
+        if (this.gameWon || this.pendingWin || this.pendingCatch || this.isGeneratingMaze || this.playback || this.paused) return;
+        
+        const target = this.positionAtClient(clientX, clientY);
+        const path = target && this.findWalkPath(target);
+        if (!path) return;
+        
+        // The route starts where the player is, so drop anything queued from elsewhere
+        this.moveQueue = [];
+        this.run = null;
+        this.walkPath = path;
+        if (!this.isMoving) {
+            this.continueWalk();
+        }
+    }
+    
+    /**
+     * Position of the cell under a point on the page, or null. The canvas can be drawn
+     * larger or smaller than its pixels by CSS, so the point is scaled to them first.
+     */
+    positionAtClient(clientX, clientY) {
+        if (!this.maze || this.isGeneratingMaze || this.isFirstPerson()) return null;
+        
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (clientX - rect.left - this.canvas.clientLeft) * this.canvas.width / this.canvas.clientWidth;
+        const y = (clientY - rect.top - this.canvas.clientTop) * this.canvas.height / this.canvas.clientHeight;
+        const pixels = this.cellSize * this.zoom;
+        const point = { x: x / pixels + this.camera.x, y: y / pixels + this.camera.y };
+        return this.mazeGenerator.topology.positionAt(point, this.getViewFloor());
+    }
+    
+    /**
+     * Cells to walk through, in order, on the shortest route from the player to a position,
+     * or null if there's no way there. In the fog only cells already seen are used, and
+     * never through a locked door.
+     */
+    findWalkPath(target) {
+        const generator = this.mazeGenerator;
+        const cell = generator.getCell(target.x, target.y);
+        if (!cell || (target.x === this.player.x && target.y === this.player.y)) return null;
+        
+        const fogged = this.isFogged();
+        if (fogged && !this.seenCells.has(cell)) return null;
+        const canEnter = (neighbor, from) =>
+            (!fogged || this.seenCells.has(neighbor)) && !this.items?.isLocked(from, neighbor);
+        const path = new MazeSolver(generator).shortestPath(this.player, target, 'astar', canEnter);
+        return path ? path.slice(1) : null;
+    }
+    
+    // Take the next step of a walk, through whichever passage leads to the next cell
+    continueWalk() {
+        const generator = this.mazeGenerator;
+        const cell = generator.getCell(this.player.x, this.player.y);
+        const next = this.walkPath.shift();
+        if (this.walkPath.length === 0) {
+            this.walkPath = null;
+        }
+        
+        const direction = generator.topology.directions.find(d => {
+            const neighbor = generator.getPassage(cell, d);
+            return neighbor && neighbor.x === next.x && neighbor.y === next.y;
+        });
+        if (!direction || !this.tryMove(direction)) {
+            this.walkPath = null;
+        }
+    }
+    
+    // Route being walked, or else the one a click on the hovered cell would take
+    getWalkPreview() {
+        if (this.walkPath) return this.walkPath;
+        if (!this.hoverPosition || this.gameWon || this.pendingWin) return null;
+        
+        const key = `${this.player.x},${this.player.y}>${this.hoverPosition.x},${this.hoverPosition.y}`;
+        if (this.walkPreview?.key !== key) {
+            this.walkPreview = { key, path: this.findWalkPath(this.hoverPosition) };
+        }
+        return this.walkPreview.path;
+    }
+    
+    /**
+     * Move one cell in a direction of the maze's topology ('top', 'northEast', ...),
+     * or in the first open one of a list of directions. Tunnels of weave mazes are
+     * passed straight through in one move.
+     */
+    tryMove(direction) {
+        const currentCell = this.mazeGenerator.getCell(this.player.x, this.player.y);
+        if (Array.isArray(direction)) {
+            direction = direction.find(d => this.mazeGenerator.getPassage(currentCell, d));
+            if (!direction) return false;
+        }
+        let next = this.mazeGenerator.getPassage(currentCell, direction);
+        if (next && !this.playback && this.items?.isLocked(currentCell, next)) {
+            // Shut until its key is held. Replays went through their doors already,
+            // whatever items their maze has now.
+            next = null;
+        }
+        
+        // Check bounds, walls, tunnels and doors
+        if (next) {
+            this.player.x = next.x;
+            this.player.y = next.y;
+            this.isMoving = true;
+            this.moves++;
+            this.recording?.addMove(this.getElapsedTime(), direction, this.mazeGenerator.topology);
+            if (this.mode === 'endless') {
+                this.advanceEndless();
+            }
+            this.items?.collect(next);
+            this.updateStats();
+            if (!this.checkCaught()) {
+                this.checkWin();
+            }
+            this.saveGame();
+            return true;
+        }
+        
+        return false;
+    }
+    
+    checkWin() {
+        if (this.exit && this.player.x === this.exit.x && this.player.y === this.exit.y) {
+            // Mark win as pending - will trigger when animation completes
+            this.pendingWin = true;
+            this.finishTime = this.getElapsedTime();
+            this.recording?.finish(this.finishTime);
+            this.clearSavedGame(); // The level's over, even if the page closes before the results
+            this.moveQueue = []; // Clear any queued moves
+            this.run = null;
+            this.walkPath = null;
+        }
+    }
+    
+    // Whether a cat has the mouse (sharing its cell); if so the level restarts once the mouse gets there
+    checkCaught() {
+        const caught = this.cats.some(cat => cat.cell.x === this.player.x && cat.cell.y === this.player.y);
+        if (caught) {
+            this.pendingCatch = true;
+            this.moveQueue = [];
+            this.run = null;
+            this.walkPath = null;
+        }
+        return caught;
+    }
+    
+    // Back to the start of the same maze, with the moves, clock and cats starting over.
+    // That ends a scored daily attempt: the run from the start again is practice.
+    caughtByCat() {
+        const endsAttempt = this.dailyScored;
+        this.dailyScored = false;
+        this.moves = 0;
+        this.finishMazeSetup();
+        this.showMessage(endsAttempt ? '🐱 Caught! Back to the start, as practice' : '🐱 Caught! Back to the start');
+        this.advanceTimeout = setTimeout(() => {
+            this.advanceTimeout = null;
+            this.hideMessage();
+        }, 1500);
+    }
+    
+    triggerWin() {
+        this.pendingWin = false;
+        if (this.playback) {
+            this.finishPlayback();
+            return;
+        }
+        
+        this.gameWon = true;
+        this.stopTimer();
+        
+        // Keep the run to watch again, and as the ghost for this maze if it's the best yet
+        let ghostResult = null;
+        if (this.recording) {
+            const best = this.saveBestRun(this.recording);
+            if (this.ghost) {
+                ghostResult = best ? 'You beat the ghost!' : 'The ghost wins.';
+            }
+            this.replay = this.recording;
+            this.recording = null;
+        }
+        
+        const run = { time: this.finishTime, moves: this.moves, par: this.par, crumbs: this.items?.crumbsEaten ?? 0 };
+        if (this.mode === 'daily') {
+            this.showDailyResults(run);
+            return;
+        }
+        const result = this.leaderboard.record(Leaderboard.identity(this.mazeGenerator, this.itemRules()), run);
+        this.showResults(run, result, ghostResult);
+    }
+    
+    /**
+     * Results screen: the run next to the bests for this maze before it and the optimal
+     * move count. Next Level goes on, it has the focus so Enter or Space work too.
+     */
+    showResults(run, { previous, bestTime, fewestMoves }, ghostResult) {
+        const show = (id, text) => {
+            document.getElementById(id).textContent = text;
+        };
+        const extraMoves = run.moves - run.par;
+        show('results-title', `🎉 Level ${this.level} Complete!`);
+        show('results-time', MazerGame.formatTime(run.time / 1000, true));
+        show('results-moves', extraMoves > 0 ? `${run.moves} (+${extraMoves})` : `${run.moves} (perfect!)`);
+        show('results-par', String(run.par));
+        show('results-best-time', previous ? MazerGame.formatTime(previous.bestTime / 1000, true) : '-');
+        show('results-best-moves', previous ? String(previous.fewestMoves) : '-');
+        const crumbs = this.items?.crumbs.length ?? 0;
+        const mostCrumbs = previous?.mostCrumbs ?? 0;
+        show('results-crumbs', `${run.crumbs}/${crumbs}` + (previous ? ` (most before ${mostCrumbs})` : ''));
+        document.getElementById('results-crumbs-row').classList.toggle('hidden', crumbs === 0);
+        
+        const notes = [];
+        if (!previous) {
+            notes.push('First time through this maze.');
+        } else if (bestTime || fewestMoves) {
+            notes.push(`New best ${bestTime && fewestMoves ? 'time and moves' : bestTime ? 'time' : 'moves'}!`);
+        }
+        if (ghostResult) {
+            notes.push(ghostResult);
+        }
+        show('results-note', notes.join(' '));
+        document.getElementById('results-panel').classList.remove('hidden');
+        document.getElementById('results-next-btn').focus();
+    }
+    
+    /**
+     * Results of a run through the daily maze. The scored attempt sets the day's result;
+     * after a practice run the scored result is what's shared, if there is one.
+     */
+    showDailyResults(run) {
+        if (this.dailyScored) {
+            this.daily.finish(this.dailyDate, run);
+            this.updateDailyButton();
+        }
+        const scored = this.daily.result(this.dailyDate);
+        const streak = this.daily.streak();
+        const show = (id, text) => {
+            document.getElementById(id).textContent = text;
+        };
+        const extraMoves = run.moves - run.par;
+        show('daily-title', `🗓️ Daily Maze ${this.dailyDate}`);
+        show('daily-time', MazerGame.formatTime(run.time / 1000, true));
+        show('daily-moves', extraMoves > 0 ? `${run.moves} (+${extraMoves})` : `${run.moves} (perfect!)`);
+        show('daily-par', String(run.par));
+        show('daily-crumbs', `${run.crumbs}/${this.items?.crumbs.length ?? 0}`);
+        show('daily-streak', `${streak} day${streak === 1 ? '' : 's'}`);
+        if (this.dailyScored) {
+            show('daily-note', 'Scored! Come back tomorrow for the next one.');
+        } else if (scored) {
+            show('daily-note', `Practice run. Your scored attempt: ${MazerGame.formatTime(scored.time / 1000, true)}, ${scored.moves} moves.`);
+        } else {
+            show('daily-note', 'Practice run, not scored.');
+        }
+        document.getElementById('daily-share').value = DailyChallenge.shareText(this.dailyDate, scored ?? run, streak, !scored);
+        show('daily-copy-btn', 'Copy Result');
+        document.getElementById('daily-panel').classList.remove('hidden');
+        document.getElementById('daily-copy-btn').focus();
+    }
+    
+    // Copy the result summary to paste into a chat, or select it to copy by hand if that's refused
+    copyDailyResult() {
+        const share = document.getElementById('daily-share');
+        const button = document.getElementById('daily-copy-btn');
+        const copied = navigator.clipboard?.writeText(share.value) ?? Promise.reject(new Error('No clipboard'));
+        copied.then(() => {
+            button.textContent = 'Copied!';
+        }, () => {
+            share.select();
+            button.textContent = 'Select and copy';
+        });
+    }
+    
+    // The streak on the Daily button, with a tick once today's maze is done
+    updateDailyButton() {
+        const streak = this.daily.streak();
+        const done = this.daily.result(DailyChallenge.dateKey()) !== null;
+        document.getElementById('daily-btn').textContent = `Daily${done ? ' ✓' : ''}${streak > 0 ? ` 🔥${streak}` : ''}`;
+    }
+    
+    nextLevel() {
+        document.getElementById('results-panel').classList.add('hidden');
+        this.level++;
+        this.startNewGame();
+    }
+    
+    // Fill the leaderboard with the mazes matching its filters, keeping the filters' choices
+    renderLeaderboard() {
+        const fillSelect = (select, label, values) => {
+            const current = select.value;
+            select.innerHTML = '';
+            for (const value of ['', ...values]) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value || label;
+                select.appendChild(option);
+            }
+            select.value = values.includes(current) ? current : '';
+        };
+        const algorithmSelect = document.getElementById('leaderboard-algorithm');
+        const sizeSelect = document.getElementById('leaderboard-size');
+        fillSelect(algorithmSelect, 'All algorithms', this.leaderboard.algorithms());
+        fillSelect(sizeSelect, 'All sizes', this.leaderboard.sizes());
+        
+        const entries = this.leaderboard.query({
+            algorithm: algorithmSelect.value || null,
+            size: sizeSelect.value || null
+        });
+        
+        // Built from elements, seeds come from links and could hold anything
+        const table = document.getElementById('leaderboard-table');
+        table.innerHTML = '';
+        const addRow = (cells, tag) => {
+            const row = document.createElement('tr');
+            for (const text of cells) {
+                const cell = document.createElement(tag);
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            table.appendChild(row);
+        };
+        addRow(['Maze', 'Grid', 'Size', 'Algorithm', 'Braiding', 'Doors/crumbs/cats', 'Best time', 'Fewest moves', 'Optimal', 'Date'], 'th');
+        for (const entry of entries) {
+            addRow([
+                entry.seed ?? `#${entry.mazeId}`,
+                entry.floors > 1 ? `${entry.topology} ×${entry.floors}` : entry.topology,
+                Leaderboard.sizeOf(entry),
+                entry.algorithm ?? '-',
+                entry.braidingFactor ?? '-',
+                Leaderboard.rulesOf(entry),
+                MazerGame.formatTime(entry.bestTime / 1000, true),
+                entry.fewestMoves,
+                entry.par ?? '-',
+                new Date(entry.date).toLocaleDateString()
+            ], 'td');
+        }
+        document.getElementById('leaderboard-empty').classList.toggle('hidden', entries.length > 0);
+    }
+    
+    // Watch a finished run on its own maze, at playbackSpeed. Afterwards a new maze starts at the current level.
+    watchReplay(replay) {
+        if (!this.checkReplay(replay)) return;
+        this.cancelPendingTransitions();
+        this.mode = 'levels';
+        this.playback = { replay, index: 0, time: 0 };
+        this.loadMaze(replay.maze);
+    }
+    
+    // Play a run's maze with the run racing along as the ghost
+    raceReplay(replay) {
+        if (!this.checkReplay(replay)) return;
+        this.cancelPendingTransitions();
+        this.mode = 'levels';
+        this.requestedGhost = replay;
+        this.loadMaze(replay.maze);
+    }
+    
+    // Whether a replay's moves fit its maze; if not, says why
+    checkReplay(replay) {
+        try {
+            replay.trace(MazeGenerator.decode(replay.maze));
+            return true;
+        } catch (e) {
+            this.showMessage(`⚠️ ${e.message}`);
+            return false;
+        }
+    }
+    
+    finishPlayback() {
+        this.gameWon = true;
+        this.stopTimer();
+        this.showMessage('🎬 End of replay');
+        
+        this.advanceTimeout = setTimeout(() => {
+            this.advanceTimeout = null;
+            this.startNewGame();
+        }, 2000);
+    }
+    
+    // The item and cat settings the maze is played with, which change how it plays as much as its walls
+    itemRules() {
+        return { lockedDoors: this.lockedDoors, crumbCount: this.crumbCount, catCount: this.catCount };
+    }
+    
+    /**
+     * Saved best runs, newest last, as replay JSON. Kept as a list rather than keyed by
+     * maze so the oldest are easy to drop.
+     */
+    loadBestRuns() {
+        try {
+            const runs = JSON.parse(localStorage.getItem(MazerGame.BEST_RUNS_KEY));
+            return Array.isArray(runs) ? runs : [];
+        } catch (e) {
+            // Unreadable or blocked storage - no ghosts
+            return [];
+        }
+    }
+    
+    // The saved best run with the given raceKey: the same maze with the same doors, crumbs and cats
+    loadBestRun(raceKey) {
+        const data = this.loadBestRuns().find(run => new Replay(run).raceKey === raceKey);
+        try {
+            return data ? Replay.fromJSON(data) : null;
+        } catch (e) {
+            return null; // Saved by a version that can't be read any more
+        }
+    }
+    
+    // Save a finished run if it beats the best through its maze. Returns whether it did.
+    saveBestRun(replay) {
+        const runs = this.loadBestRuns();
+        const index = runs.findIndex(run => new Replay(run).raceKey === replay.raceKey);
+        if (index !== -1 && !replay.beats(runs[index])) return false;
+        
+        if (index !== -1) {
+            runs.splice(index, 1);
+        }
+        runs.push(replay.toJSON());
+        try {
+            localStorage.setItem(MazerGame.BEST_RUNS_KEY, JSON.stringify(runs.slice(-this.maxSavedRuns)));
+        } catch (e) {
+            // Storage can be blocked or full - the run still counts, it just isn't kept
+        }
+        return true;
+    }
+    
+    // Download a replay as a JSON file
+    exportReplay(replay) {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `mazer-replay-${replay.seed ?? replay.mazeId}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    // Read a replay file, making it the one the Replays panel watches and races
+    importReplay(file) {
+        file.text().then(text => {
+            const replay = Replay.fromJSON(text);
+            if (!this.checkReplay(replay)) return;
+            this.replay = replay;
+            this.renderReplaysPanel();
+        }).catch(e => {
+            this.showMessage(e instanceof SyntaxError ? '⚠️ Could not read that replay' : `⚠️ ${e.message}`);
+        });
+    }
+    
+    renderReplaysPanel() {
+        const replay = this.replay;
+        let info = 'Finish a level to record a replay';
+        if (replay) {
+            const time = replay.finished ? MazerGame.formatTime(replay.time / 1000) : 'unfinished';
+            info = `Level ${replay.level ?? '?'} · ${replay.moves.length} moves · ${time}`;
+            if (replay.seed !== null) {
+                info += ` · seed ${replay.seed}`;
+            }
+        }
+        document.getElementById('replay-info').textContent = info;
+        for (const id of ['replay-watch-btn', 'replay-race-btn', 'replay-export-btn']) {
+            document.getElementById(id).disabled = !replay;
+        }
+        document.getElementById('replay-speed').value = String(this.playbackSpeed);
+        document.getElementById('ghost-toggle').checked = this.showGhost;
+    }
+    
+    /**
+     * Keep a new level so it can be picked up again after the page is closed. Only levels
+     * and daily mazes are saved, not endless runs or replays being watched, and reaching
+     * the exit clears it.
+     * The maze is saved once here, saveGame() saves the progress through it.
+     */
+    saveMaze() {
+        this.savedMazeId = null;
+        if (this.mode === 'endless' || this.playback) return;
+        try {
+            localStorage.setItem(MazerGame.SAVED_MAZE_KEY, JSON.stringify(this.mazeGenerator));
+        } catch (e) {
+            // Storage can be blocked or full - the game just can't be resumed
+            return;
+        }
+        this.savedMazeId = Replay.mazeId(this.mazeGenerator.encode());
+        this.saveGame();
+    }
+    
+    saveGame() {
+        if (!this.savedMazeId) return;
+        const progress = {
+            mazeId: this.savedMazeId,
+            level: this.level,
+            player: this.player,
+            moves: this.moves,
+            time: Math.round(this.getElapsedTime()),
+            // The recording's maze is saved already, so only what's been recorded through it
+            recording: this.recording ? { moves: this.recording.moves, time: this.recording.time } : null,
+            items: this.items,
+            daily: this.mode === 'daily' ? { date: this.dailyDate, scored: this.dailyScored } : null
+        };
+        try {
+            localStorage.setItem(MazerGame.SAVED_GAME_KEY, JSON.stringify(progress));
+        } catch (e) {
+            // Storage can be blocked or full - the last save stays
+        }
+    }
+    
+    clearSavedGame() {
+        if (!this.savedMazeId) return;
+        this.savedMazeId = null;
+        try {
+            localStorage.removeItem(MazerGame.SAVED_GAME_KEY);
+            localStorage.removeItem(MazerGame.SAVED_MAZE_KEY);
+        } catch (e) {
+            // Blocked storage has nothing saved to clear
+        }
+    }
+    
+    // The saved game as { maze, generator, progress }, or null if there's none that can be played
+    loadSavedGame() {
+        try {
+            const maze = localStorage.getItem(MazerGame.SAVED_MAZE_KEY);
+            const progress = JSON.parse(localStorage.getItem(MazerGame.SAVED_GAME_KEY));
+            if (!maze || !progress) return null;
+            
+            // The progress has to be through this maze (a newer maze may have been saved
+            // without any progress yet) and make sense on it
+            const generator = MazeGenerator.fromJSON(maze);
+            const valid = progress.mazeId === Replay.mazeId(generator.encode()) &&
+                Number.isInteger(progress.level) && progress.level > 0 &&
+                Number.isInteger(progress.moves) && progress.moves >= 0 &&
+                Number.isFinite(progress.time) && progress.time >= 0 &&
+                generator.getCell(progress.player?.x, progress.player?.y) !== null &&
+                (!progress.daily || DailyChallenge.isDateKey(progress.daily.date));
+            return valid ? { maze, generator, progress } : null;
+        } catch (e) {
+            // Unreadable or blocked storage, or saved by a version that can't be read any more
+            return null;
+        }
+    }
+    
+    /**
+     * Put a saved game back as it was left: the same maze, level, position, moves and
+     * time, with the clock held until the player picks Resume (or New Game instead).
+     * A daily maze's scored attempt carries on being the scored one.
+     */
+    offerResume({ maze, progress }) {
+        this.mode = progress.daily ? 'daily' : 'levels';
+        this.dailyDate = progress.daily?.date ?? null;
+        this.dailyScored = progress.daily?.scored === true;
+        this.level = progress.level;
+        this.resumeFrom = progress;
+        this.loadMaze(maze);
+        
+        this.paused = true;
+        this.pauseTimer();
+        document.getElementById('resume-info').textContent =
+            `${progress.daily ? `Daily Maze ${progress.daily.date}` : `Level ${progress.level}`} · ${progress.moves} moves · ${MazerGame.formatTime(progress.time / 1000)}`;
+        document.getElementById('resume-panel').classList.remove('hidden');
+        document.getElementById('resume-btn').focus();
+    }
+    
+    resumeGame() {
+        document.getElementById('resume-panel').classList.add('hidden');
+        this.paused = false;
+        this.resumeTimer();
+    }
+    
+    getMazeWidth() {
+        // Increase maze size with level
+        return this.baseMazeSize + Math.floor((this.level - 1) * 2);
+    }
+    
+    getMazeHeight() {
+        return this.baseMazeSize + Math.floor((this.level - 1) * 2);
+    }
+    
+    startNewGame() {
+        this.cancelPendingTransitions();
+        this.applySettings();
+        this.gameWon = false;
+        this.moves = 0;
+        this.isGeneratingMaze = false;
+        this.currentCarveHead = null;
+        
+        // Play a fixed maze if one is available for this level
+        // (a broken one, like a mistyped link, is reported and a maze generated instead)
+        const fixedMaze = this.requestedMaze ?? this.levelPack[this.level - 1];
+        this.requestedMaze = null;
+        if (fixedMaze) {
+            try {
+                this.loadMaze(fixedMaze);
+                return;
+            } catch (e) {
+                this.showMessage(`⚠️ ${e.message}`);
+            }
+        }
+        
+        // Generate new maze, as big as the level calls for: the camera scrolls round big ones
+        const width = this.getMazeWidth();
+        const height = this.getMazeHeight();
+        
+        // Use the seed from the URL once, then a fresh one for every later maze.
+        // Steps are recorded for the animation.
+        const recordSteps = this.ANIMATE_MAZE_GENERATION;
+        if (this.requestedSeed !== null) {
+            this.mazeGenerator = this.createMazeGenerator(width, height, this.requestedSeed);
+            this.mazeGenerator.generate(recordSteps);
+            this.requestedSeed = null;
+        } else {
+            this.mazeGenerator = this.pickMazeGenerator(width, height, recordSteps);
+        }
+        this.maze = this.mazeGenerator.grid;
+        this.seed = this.mazeGenerator.seed;
+        this.updateUrl();
+        this.updateStats();
+        
+        this.fitView();
+        
+        if (recordSteps) {
+            this.generationSteps = this.mazeGenerator.getGenerationSteps();
+            this.currentGenStep = 0;
+            this.stepsPerTick = Math.ceil(this.generationSteps.length / this.maxAnimationTicks);
+            
+            // Create a blank display grid (all walls, nothing visited)
+            this.initDisplayGrid();
+            this.isGeneratingMaze = true;
+            
+            // Start the animation
+            this.animateMazeGeneration();
+        } else {
+            // Instant generation (no animation)
+            this.finishMazeSetup();
+        }
+    }
+    
+    /**
+     * Endless mode: one maze that keeps extending downward as the player descends
+     */
+    startEndlessGame() {
+        this.cancelPendingTransitions();
+        this.applySettings();
+        this.mode = 'endless';
+        this.gameWon = false;
+        this.moves = 0;
+        this.depth = 0;
+        this.isGeneratingMaze = false;
+        this.currentCarveHead = null;
+        this.displayGrid = null;
+        this.hideMessage();
+        
+        this.mazeGenerator = new EndlessMaze(this.endlessWidth, { seed: SeededRandom.randomSeed() });
+        this.maze = this.mazeGenerator.generate(this.endlessRowsAhead);
+        this.seed = this.mazeGenerator.seed;
+        
+        this.finishMazeSetup();
+        this.fitView({ width: this.endlessWidth, height: this.endlessViewRows });
+    }
+    
+    /**
+     * Daily Maze: the maze for a date (today, unless a link names another day), the same
+     * for everyone. Today's first attempt is scored, any other run through is practice.
+     */
+    startDailyGame(date = DailyChallenge.dateKey()) {
+        this.cancelPendingTransitions();
+        this.mode = 'daily';
+        this.dailyDate = date;
+        this.dailyScored = date === DailyChallenge.dateKey() && !this.daily.hasAttempted(date);
+        if (this.dailyScored) {
+            this.daily.start(date);
+        }
+        
+        const generator = DailyChallenge.createGenerator(date);
+        generator.generate(false);
+        this.loadMaze(generator);
+        
+        this.showMessage(this.dailyScored ? `🗓️ Daily Maze ${date}: this attempt counts!` : `🗓️ Daily Maze ${date}: practice`);
+        this.advanceTimeout = setTimeout(() => {
+            this.advanceTimeout = null;
+            this.hideMessage();
+        }, 2000);
+    }
+    
+    // Grow the maze below the player and forget rows far above
+    advanceEndless() {
+        this.depth = Math.max(this.depth, this.player.y);
+        this.mazeGenerator.ensureRows(this.player.y + this.endlessRowsAhead);
+        this.mazeGenerator.discardAbove(this.player.y - this.endlessRowsBehind);
+        this.maze = this.mazeGenerator.grid;
+    }
+    
+    endEndlessRun() {
+        this.gameWon = true;
+        this.moveQueue = [];
+        this.run = null;
+        this.walkPath = null;
+        this.stopTimer();
+        this.showMessage(`⏱️ Time's up! Depth reached: ${this.depth}`);
+        
+        this.advanceTimeout = setTimeout(() => {
+            this.advanceTimeout = null;
+            this.hideMessage();
+        }, 3000);
+    }
+    
+    // Stop a running generation animation, level advance or replay before starting something new
+    cancelPendingTransitions() {
+        clearTimeout(this.generationTimeout);
+        clearTimeout(this.advanceTimeout);
+        this.generationTimeout = null;
+        this.advanceTimeout = null;
+        this.playback = null;
+        this.paused = false;
+        document.getElementById('results-panel').classList.add('hidden');
+        document.getElementById('resume-panel').classList.add('hidden');
+        this.hideMessage();
+    }
+    
+    createMazeGenerator(width, height, seed) {
+        return new MazeGenerator(width, height, {
+            algorithm: this.mazeAlgorithm,
+            braidingFactor: this.braidingFactor,
+            extraWallRemoval: this.extraWallRemoval,
+            topology: this.mazeTopology,
+            mask: this.mazeMask,
+            floors: this.mazeFloors,
+            weave: this.weave,
+            seed: seed
+        });
+    }
+    
+    /**
+     * Try fresh seeds until the maze's difficulty fits the level.
+     * Returns the generator whose score came closest if no attempt fits, its maze generated
+     * (again, recording the steps, if recordSteps is set).
+     * Mazes too big for more than one attempt in generationCellBudget aren't checked.
+     */
+    pickMazeGenerator(width, height, recordSteps = false) {
+        const attempts = Math.min(this.maxGenerationAttempts, Math.floor(this.generationCellBudget / (width * height)));
+        if (!this.ENFORCE_DIFFICULTY || attempts <= 1) {
+            const generator = this.createMazeGenerator(width, height, SeededRandom.randomSeed());
+            generator.generate(recordSteps);
+            return generator;
+        }
+        
+        const { min, max } = this.getDifficultyRange();
+        let best = null;
+        let bestMiss = Infinity;
+        
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const generator = this.createMazeGenerator(width, height, SeededRandom.randomSeed());
+            generator.generate(false);
+            const { difficulty } = generator.analyze();
+            
+            const miss = Math.max(min - difficulty, difficulty - max, 0);
+            if (miss < bestMiss) {
+                best = generator;
+                bestMiss = miss;
+            }
+            if (miss === 0) break;
+        }
+        
+        if (recordSteps) {
+            best.generate(true); // The same seed carves the same maze
+        }
+        return best;
+    }
+    
+    // Acceptable difficulty scores for the current level, rising with the level
+    getDifficultyRange() {
+        const min = Math.min(20 + (this.level - 1) * 2, 45);
+        return { min: min, max: min + 25 };
+    }
+    
+    /**
+     * Play a serialized maze instead of generating one.
+     * Accepts the JSON form (object or string), the compact code from MazeGenerator.encode()
+     * or a generated MazeGenerator.
+     */
+    loadMaze(source) {
+        let generator;
+        if (source instanceof MazeGenerator) {
+            generator = source;
+        } else if (typeof source === 'string' && !source.trim().startsWith('{')) {
+            generator = MazeGenerator.decode(source);
+        } else {
+            generator = MazeGenerator.fromJSON(source);
+        }
+        this.applySettings();
+        
+        this.gameWon = false;
+        this.moves = 0;
+        this.isGeneratingMaze = false;
+        this.currentCarveHead = null;
+        this.displayGrid = null;
+        
+        this.mazeGenerator = generator;
+        this.maze = generator.grid;
+        this.seed = generator.seed;
+        this.updateUrl();
+        
+        this.fitView();
+        
+        this.finishMazeSetup();
+    }
+    
+    /**
+     * Fill the window with the canvas: its whole width, and the height left under the
+     * header. Called on load and whenever the window is resized.
+     */
+    resizeCanvas() {
+        const border = this.canvas.offsetWidth - this.canvas.clientWidth;
+        const header = document.getElementById('header');
+        const padding = 20; // #game-container's, and as much again under the canvas
+        const width = Math.floor(window.innerWidth - 2 * padding - border);
+        const height = Math.floor(window.innerHeight - header.offsetHeight - 20 - 2 * padding - border);
+        this.canvas.width = Math.max(width, this.minCanvasSize);
+        this.canvas.height = Math.max(height, this.minCanvasSize);
+    }
+    
+    initDisplayGrid() {
+        // Create a grid with all walls intact for animation
+        this.displayGrid = this.mazeGenerator.topology.createGrid();
+    }
+    
+    animateMazeGeneration() {
+        if (this.currentGenStep >= this.generationSteps.length) {
+            // Animation complete
+            this.isGeneratingMaze = false;
+            this.currentCarveHead = null;
+            this.displayGrid = null; // Use the real maze now
+            this.finishMazeSetup();
+            return;
+        }
+        
+        // Several steps at a time for big mazes
+        const end = Math.min(this.currentGenStep + this.stepsPerTick, this.generationSteps.length);
+        for (; this.currentGenStep < end; this.currentGenStep++) {
+            this.applyGenerationStep(this.generationSteps[this.currentGenStep]);
+        }
+        
+        // Schedule next step
+        this.generationTimeout = setTimeout(() => this.animateMazeGeneration(), this.mazeAnimationDelay);
+    }
+    
+    // Show one recorded generation step on the display grid
+    applyGenerationStep(step) {
+        if (step.type === 'visit') {
+            // Mark cell as visited
+            this.displayGrid[step.y][step.x].visited = true;
+            this.dirtyCells.add(this.displayGrid[step.y][step.x]);
+            this.currentCarveHead = { x: step.x, y: step.y };
+        } else if (step.type === 'carve') {
+            // Remove walls between cells
+            const toCell = this.linkDisplayCells(step);
+            toCell.visited = true;
+            this.currentCarveHead = { x: step.toX, y: step.toY };
+        } else if (step.type === 'backtrack') {
+            // Just update the carve head position during backtrack
+            this.currentCarveHead = { x: step.x, y: step.y };
+        } else if (step.type === 'hunt') {
+            // Hunt phase - jumping to a new location
+            this.displayGrid[step.y][step.x].visited = true;
+            this.dirtyCells.add(this.displayGrid[step.y][step.x]);
+            this.currentCarveHead = { x: step.x, y: step.y };
+        } else if (step.type === 'braid' || step.type === 'extra') {
+            // Post-processing wall removal (braiding or extra shortcuts)
+            this.linkDisplayCells(step);
+            this.currentCarveHead = { x: step.toX, y: step.toY };
+        }
+    }
+    
+    // Open a step's passage in the display grid, returns the cell it leads to.
+    // Cells two apart are joined by a tunnel under the one between (weave mazes).
+    linkDisplayCells(step) {
+        const topology = this.mazeGenerator.topology;
+        const fromCell = this.displayGrid[step.fromY][step.fromX];
+        const toCell = this.displayGrid[step.toY][step.toX];
+        if (topology.directionBetween(fromCell, toCell)) {
+            topology.link(fromCell, toCell);
+        } else {
+            const between = topology.positionBetween(fromCell, toCell);
+            const crossing = this.displayGrid[between.y][between.x];
+            topology.tunnel(fromCell, crossing, toCell);
+            this.dirtyCells.add(crossing);
+        }
+        this.dirtyCells.add(fromCell);
+        this.dirtyCells.add(toCell);
+        return toCell;
     }
     
     finishMazeSetup() {
-        // Set player start position
+        // Set player start position, or where they were in a resumed game
+        const resume = this.resumeFrom;
+        this.resumeFrom = null;
         const start = this.mazeGenerator.getStartPosition();
-        this.player = { x: start.x, y: start.y };
-        this.playerVisual = { x: start.x, y: start.y };
+        const position = resume ? resume.player : start;
+        this.player = { x: position.x, y: position.y };
+        this.playerVisual = this.mazeGenerator.topology.center(position.x, position.y);
+        if (resume) {
+            this.moves = resume.moves;
+        }
         this.isMoving = false;
         this.moveQueue = [];
+        this.run = null;
+        this.walkPath = null;
+        this.walkPreview = null;
         this.pendingWin = false;
+        this.pendingCatch = false;
+        
+        this.camera = this.getCameraTarget();
+        this.seenCells = new WeakSet();
+        this.updateFog();
+        this.firstPerson.reset();
+        this.input.setDirectionActions(Object.keys(MazerGame.ACTION_DIRECTIONS[this.mazeGenerator.topology.name]));
+        
+        // Set exit position (endless mazes have none)
+        this.exit = this.mazeGenerator.exit ? this.mazeGenerator.getExitPosition() : null;
+        
+        // Solve once from the exit: gives par and lets hints walk downhill from any cell
+        if (this.exit) {
+            this.exitDistances = new MazeSolver(this.mazeGenerator).distanceMap(this.exit);
+            this.par = this.exitDistances[start.y][start.x];
+        } else {
+            this.exitDistances = null;
+            this.par = null;
+        }
         
-        // Set exit position
-        this.exit = this.mazeGenerator.getExitPosition();
+        // Keys, locked doors and crumbs, not in endless mode (its maze has no exit to lock
+        // the way to). Placed from the maze's own seed, so restarts, resumes and replays
+        // find them where they were. Fetching keys makes the route longer than par was.
+        const mazeSeed = this.seed ?? Replay.mazeId(this.mazeGenerator.encode());
+        this.items = this.mode !== 'endless' ? MazeItems.place(this.mazeGenerator, {
+            doors: this.lockedDoors,
+            crumbs: this.crumbCount,
+            random: new SeededRandom(`${mazeSeed}:items`)
+        }) : null;
+        if (this.items?.doors.length > 0) {
+            this.par = this.items.solutionLength();
+        }
+        if (resume) {
+            this.items?.restore(resume.items);
+        }
+        
+        // Record the run (not in endless mode, or while watching one), and race the
+        // best run through this maze so far, if there's one
+        this.recording = this.mode !== 'endless' && !this.playback ? Replay.record(this.mazeGenerator, this.level, this.itemRules()) : null;
+        if (resume?.recording && this.recording) {
+            try {
+                this.recording = Replay.fromJSON({ ...this.recording.toJSON(), moves: resume.recording.moves, time: resume.recording.time });
+            } catch (e) {
+                // Saved by a version that can't be read any more - this run just isn't recorded
+                this.recording = null;
+            }
+        }
+        const rival = this.requestedGhost ??
+            (this.showGhost && this.recording ? this.loadBestRun(this.recording.raceKey) : null);
+        this.requestedGhost = null;
+        this.ghost = null;
+        if (rival && !this.playback) {
+            this.ghost = { trace: rival.trace(this.mazeGenerator), index: 0, visual: { ...this.playerVisual } };
+        }
         
-        // Start timer
-        this.startTimer();
+        // Cats, away from the mouse. Not in endless runs, which have no level to restart, or
+        // replays, which don't record them. Seeded by the maze, so a level restarts the same.
+        this.cats = this.mode !== 'endless' && !this.playback ? Cat.spawn(this.mazeGenerator, this.catCount, this.player, {
+            behaviors: this.catBehaviors,
+            sightRange: this.catSightRange,
+            beatLength: this.catBeatLength,
+            minDistance: this.catSpawnDistance,
+            passable: (from, to) => !this.items?.isLocked(from, to),
+            random: new SeededRandom(`${mazeSeed}:cats`)
+        }) : [];
+        this.catClock = 0;
+        
+        // Start timer, carrying on from the saved time when resuming
+        this.startTimer(resume ? resume.time : 0);
+        this.saveMaze();
         
         // Update display
         this.updateStats();
         this.render();
     }
     
-    startTimer() {
+    // Start the clock from elapsed milliseconds. It only runs while the page is visible.
+    startTimer(elapsed = 0) {
         this.stopTimer();
-        this.startTime = Date.now();
+        this.elapsedBefore = elapsed;
+        this.startTime = document.hidden ? null : Date.now();
         this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+        this.updateTimer();
     }
     
     stopTimer() {
+        this.pauseTimer();
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
         }
     }
     
+    // Hold the clock (tab hidden, resume offer waiting), keeping the time so far
+    pauseTimer() {
+        if (this.startTime !== null) {
+            this.elapsedBefore += Date.now() - this.startTime;
+            this.startTime = null;
+        }
+    }
+    
+    // Carry on after pauseTimer(), if the level is still being played
+    resumeTimer() {
+        if (this.timerInterval && this.startTime === null && !this.paused && !document.hidden) {
+            this.startTime = Date.now();
+        }
+    }
+    
+    // Milliseconds spent on the level (across sessions if it was resumed), or into the replay being watched
+    getElapsedTime() {
+        if (this.playback) return this.playback.time;
+        return this.elapsedBefore + (this.startTime !== null ? Date.now() - this.startTime : 0);
+    }
+    
     updateTimer() {
-        if (!this.startTime) return;
-        const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-        const minutes = Math.floor(elapsed / 60);
-        const seconds = elapsed % 60;
-        document.getElementById('time-display').textContent = 
-            `Time: ${minutes}:${seconds.toString().padStart(2, '0')}`;
+        let elapsed = Math.floor(this.getElapsedTime() / 1000);
+        
+        // Endless mode counts down
+        if (this.mode === 'endless') {
+            elapsed = Math.max(0, this.endlessTimeLimit - elapsed);
+            if (elapsed === 0 && !this.gameWon) {
+                this.endEndlessRun();
+            }
+        }
+        
+        document.getElementById('time-display').textContent = `Time: ${MazerGame.formatTime(elapsed)}`;
+    }
+    
+    // Seconds as m:ss, or m:ss.t with tenths
+    static formatTime(seconds, tenths = false) {
+        const count = Math.floor(seconds * 10); // In tenths
+        const whole = Math.floor(count / 10);
+        const text = `${Math.floor(whole / 60)}:${(whole % 60).toString().padStart(2, '0')}`;
+        return tenths ? `${text}.${count % 10}` : text;
     }
     
     updateStats() {
-        document.getElementById('level-display').textContent = `Level: ${this.level}`;
+        document.getElementById('level-display').textContent = this.mode === 'endless' ? `Depth: ${this.depth}` :
+            this.mode === 'daily' ? `Daily: ${this.dailyDate}` : `Level: ${this.level}`;
         document.getElementById('moves-display').textContent = `Moves: ${this.moves}`;
+        document.getElementById('par-display').textContent = `Par: ${this.par ?? '-'}`;
+        document.getElementById('seed-display').textContent = `Seed: ${this.seed ?? 'custom'}`;
+        
+        const floors = this.mazeGenerator?.topology.floors ?? 1;
+        const floorDisplay = document.getElementById('floor-display');
+        floorDisplay.classList.toggle('hidden', floors <= 1);
+        floorDisplay.textContent = `Floor: ${this.getViewFloor() + 1}/${floors}`;
+        
+        // Keys held and crumbs eaten, on levels that have them
+        const items = this.isGeneratingMaze ? null : this.items;
+        const keysDisplay = document.getElementById('keys-display');
+        keysDisplay.classList.toggle('hidden', !(items?.keys.length > 0));
+        keysDisplay.textContent = `Keys: ${items?.heldColors.map(color => MazeItems.COLORS[color].emoji).join('') || '-'}`;
+        const crumbsDisplay = document.getElementById('crumbs-display');
+        crumbsDisplay.classList.toggle('hidden', !(items?.crumbs.length > 0));
+        crumbsDisplay.textContent = `Crumbs: ${items?.crumbsEaten ?? 0}/${items?.crumbs.length ?? 0}`;
+    }
+    
+    // Floor being shown: the player's, or the carve head's while the maze is generated
+    getViewFloor() {
+        if (!this.mazeGenerator) return 0;
+        const position = this.isGeneratingMaze ? this.currentCarveHead : this.player;
+        return position ? this.mazeGenerator.topology.floorOf(position.y) : 0;
     }
     
     render() {
         const ctx = this.ctx;
-        const size = this.cellSize;
         
         // Clear canvas
         ctx.fillStyle = this.colors.background;
@@ -464,51 +2242,44 @@ class MazerGame {
         
         if (!gridToRender) return;
         
-        // Draw cells and walls
-        for (let y = 0; y < gridToRender.length; y++) {
-            for (let x = 0; x < gridToRender[y].length; x++) {
-                const cell = gridToRender[y][x];
-                const px = x * size;
-                const py = y * size;
-                
-                // Draw cell background - show visited cells differently during generation
-                if (this.isGeneratingMaze) {
-                    ctx.fillStyle = cell.visited ? this.colors.path : this.colors.background;
-                } else {
-                    ctx.fillStyle = this.colors.path;
-                }
-                ctx.fillRect(px + 1, py + 1, size - 2, size - 2);
-                
-                // Draw walls
-                ctx.strokeStyle = this.colors.wall;
-                ctx.lineWidth = this.wallThickness;
-                ctx.lineCap = 'round';
-                
-                if (cell.walls.top) {
-                    ctx.beginPath();
-                    ctx.moveTo(px, py);
-                    ctx.lineTo(px + size, py);
-                    ctx.stroke();
-                }
-                if (cell.walls.right) {
-                    ctx.beginPath();
-                    ctx.moveTo(px + size, py);
-                    ctx.lineTo(px + size, py + size);
-                    ctx.stroke();
-                }
-                if (cell.walls.bottom) {
-                    ctx.beginPath();
-                    ctx.moveTo(px, py + size);
-                    ctx.lineTo(px + size, py + size);
-                    ctx.stroke();
-                }
-                if (cell.walls.left) {
-                    ctx.beginPath();
-                    ctx.moveTo(px, py);
-                    ctx.lineTo(px, py + size);
-                    ctx.stroke();
-                }
+        if (this.isFirstPerson()) {
+            this.firstPerson.render();
+            if (this.showMinimap) {
+                this.drawMinimap();
             }
+            return;
+        }
+        
+        ctx.save();
+        this.applyCamera(ctx);
+        this.drawMaze(gridToRender, true);
+        ctx.restore();
+    }
+    
+    /**
+     * Draw the floor in view from above, in cell units scaled by cellSize, plus the carve
+     * head, hint, exit and player. The fog of war is left out of the minimap (withFog false),
+     * which still only shows cells seen so far.
+     */
+    drawMaze(gridToRender, withFog) {
+        const ctx = this.ctx;
+        const topology = this.mazeGenerator.topology;
+        const floor = this.getViewFloor();
+        const fogged = this.isFogged();
+        
+        if (this.mode === 'endless') {
+            // Rows come and go as the player goes deeper, so these are drawn afresh each
+            // frame. Cells with their middle further than this outside the view can't reach into it.
+            const view = this.getViewSize();
+            const margin = 1.5;
+            const onScreen = (cell) => {
+                const center = topology.center(cell.x, cell.y);
+                return center.x > this.camera.x - margin && center.x < this.camera.x + view.width + margin &&
+                    center.y > this.camera.y - margin && center.y < this.camera.y + view.height + margin;
+            };
+            this.paintCells(ctx, gridToRender.flat().filter(cell => cell && onScreen(cell)), floor);
+        } else {
+            this.drawMazeLayer(gridToRender);
         }
         
         // During generation, draw the carve head
@@ -518,19 +2289,358 @@ class MazerGame {
         
         // Only draw exit and player after maze is complete
         if (!this.isGeneratingMaze) {
+            if (this.showHint && this.exitDistances) {
+                this.drawHint();
+            }
+            
+            const walkPath = this.getWalkPreview();
+            if (walkPath) {
+                this.drawWalkPath(walkPath);
+            }
+            
+            if (this.items) {
+                this.drawItems();
+            }
+            
             // Draw exit
-            this.drawExit();
+            if (this.exit && topology.floorOf(this.exit.y) === floor &&
+                (!fogged || this.seenCells.has(this.mazeGenerator.getCell(this.exit.x, this.exit.y)))) {
+                this.drawExit();
+            }
+            
+            if (fogged && withFog) {
+                this.drawFog();
+            }
+            
+            if (this.ghost) {
+                this.drawGhost();
+            }
+            
+            this.drawCats();
             
             // Draw player
             this.drawPlayer();
         }
     }
     
+    /**
+     * Draw cells with their walls, crossings and stairs, leaving out any not on floor or
+     * never seen in the fog. The backgrounds are filled as one path and the walls stroked
+     * as another, however many cells there are.
+     */
+    paintCells(ctx, cells, floor) {
+        const size = this.cellSize;
+        const topology = this.mazeGenerator.topology;
+        const fogged = this.isFogged();
+        const shown = cells.filter(cell => topology.floorOf(cell.y) === floor && (!fogged || this.seenCells.has(cell)));
+        
+        // Backgrounds - cells not visited yet during generation are left the canvas background
+        ctx.fillStyle = this.colors.path;
+        ctx.beginPath();
+        for (const cell of shown) {
+            if (!this.isGeneratingMaze || cell.visited) {
+                topology.traceCell(ctx, cell, size);
+            }
+        }
+        ctx.fill();
+        
+        ctx.strokeStyle = this.colors.wall;
+        ctx.lineWidth = this.wallThickness;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        for (const cell of shown) {
+            for (const direction of topology.directions) {
+                if (cell.walls[direction]) {
+                    topology.traceWall(ctx, cell, direction, size);
+                }
+            }
+        }
+        ctx.stroke();
+        
+        for (const cell of shown) {
+            if (cell.tunnel) {
+                this.drawCrossing(ctx, cell);
+            }
+            if (topology.floors > 1 && (!cell.walls.up || !cell.walls.down)) {
+                this.drawStairs(ctx, cell);
+            }
+        }
+    }
+    
+    /**
+     * Draw the floor in view from the maze layer, an offscreen canvas it's painted on in
+     * full when the maze, floor, fog or zoom changes. In between only the cells marked
+     * dirty are painted again: the ones a generation step changed or the fog uncovered.
+     */
+    drawMazeLayer(grid) {
+        const layer = this.getMazeLayer(grid);
+        const size = this.cellSize;
+        const scale = size / layer.pixels;
+        this.ctx.drawImage(layer.canvas, -layer.pad * size, -layer.pad * size,
+            layer.canvas.width * scale, layer.canvas.height * scale);
+    }
+    
+    getMazeLayer(grid) {
+        const topology = this.mazeGenerator.topology;
+        const { width, height } = topology.size();
+        const floor = this.getViewFloor();
+        
+        // Pixels per cell: cellSize at the zoom rounded up to a power of two, so zooming
+        // only repaints now and then, within maxLayerPixels
+        const pixels = Math.min(this.cellSize * 2 ** Math.ceil(Math.log2(this.zoom)),
+            this.maxLayerPixels / (Math.max(width, height) + 1));
+        // Room round the maze for the outer walls' edges, half a cell on whole pixels so
+        // the walls land on the same pixels as they would on the canvas
+        const pad = Math.floor(pixels / 2) / pixels;
+        
+        const key = [grid, floor, pixels, this.cellSize, this.isFogged(), this.seenCells];
+        let layer = this.mazeLayer;
+        if (!layer || key.some((value, i) => value !== layer.key[i])) {
+            const canvas = layer?.canvas ?? document.createElement('canvas');
+            canvas.width = Math.ceil((width + 2 * pad) * pixels); // Clears it too
+            canvas.height = Math.ceil((height + 2 * pad) * pixels);
+            const scale = pixels / this.cellSize;
+            layer = this.mazeLayer = {
+                canvas, ctx: canvas.getContext('2d'), key, floor, pixels, pad,
+                transform: [scale, 0, 0, scale, pad * pixels, pad * pixels]
+            };
+            layer.ctx.setTransform(...layer.transform);
+            this.paintCells(layer.ctx, grid.flat().filter(Boolean), floor);
+        } else {
+            for (const cell of this.dirtyCells) {
+                this.repaintCell(layer, grid, cell);
+            }
+        }
+        this.dirtyCells.clear();
+        return layer;
+    }
+    
+    /**
+     * Paint the layer again in a box round a cell, a cell and a quarter each way (room
+     * for the biggest, the middle of a polar maze), redrawing every cell that can reach
+     * into it. The box is on whole pixels, so nothing is left half cleared at its edges.
+     */
+    repaintCell(layer, grid, cell) {
+        const topology = this.mazeGenerator.topology;
+        if (topology.floorOf(cell.y) !== layer.floor) return;
+        const reach = 1.25;
+        const center = topology.center(cell.x, cell.y);
+        const toPixels = (cells) => (cells + layer.pad) * layer.pixels;
+        const left = Math.floor(toPixels(center.x - reach));
+        const top = Math.floor(toPixels(center.y - reach));
+        const right = Math.ceil(toPixels(center.x + reach));
+        const bottom = Math.ceil(toPixels(center.y + reach));
+        
+        // Cells up to three steps away, walls or not
+        const near = new Set([cell]);
+        let ring = [cell];
+        for (let step = 0; step < 3; step++) {
+            const next = [];
+            for (const from of ring) {
+                for (const direction of topology.directions) {
+                    const position = topology.neighborPosition(from.x, from.y, direction);
+                    const neighbor = position && grid[position.y]?.[position.x];
+                    if (neighbor && !near.has(neighbor)) {
+                        near.add(neighbor);
+                        next.push(neighbor);
+                    }
+                }
+            }
+            ring = next;
+        }
+        
+        const ctx = layer.ctx;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.beginPath();
+        ctx.rect(left, top, right - left, bottom - top);
+        ctx.clip();
+        ctx.clearRect(left, top, right - left, bottom - top);
+        ctx.setTransform(...layer.transform);
+        this.paintCells(ctx, [...near], layer.floor);
+        ctx.restore();
+    }
+    
+    // The top-down view shrunk into the top-right corner, with an arrow for the way the mouse faces
+    drawMinimap() {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const { width, height } = this.canvas;
+        const scale = this.minimapScale;
+        const margin = 8;
+        
+        ctx.save();
+        ctx.translate(width * (1 - scale) - margin, margin);
+        ctx.scale(scale, scale);
+        ctx.beginPath();
+        ctx.rect(0, 0, width, height);
+        ctx.fillStyle = this.colors.background;
+        ctx.globalAlpha = 0.85;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = this.colors.wall;
+        ctx.lineWidth = 2 / scale;
+        ctx.stroke();
+        ctx.clip();
+        
+        this.applyCamera(ctx);
+        this.drawMaze(this.maze, false);
+        
+        // Heading arrow just ahead of the mouse
+        const px = this.playerVisual.x * size;
+        const py = this.playerVisual.y * size;
+        ctx.translate(px, py);
+        ctx.rotate(this.firstPerson.angle);
+        ctx.beginPath();
+        ctx.moveTo(size * 0.55, 0);
+        ctx.lineTo(size * 0.3, -size * 0.15);
+        ctx.lineTo(size * 0.3, size * 0.15);
+        ctx.closePath();
+        ctx.fillStyle = this.colors.player;
+        ctx.fill();
+        ctx.restore();
+    }
+    
+    /**
+     * Dim everything out of view to the fog color, and the lit cells more the further
+     * they are from the player. Built on two offscreen layers: the light (lit cells with
+     * their walls, fading out with distance) is cut out of a layer of fog, which then
+     * goes over the maze.
+     */
+    drawFog() {
+        const size = this.cellSize;
+        const topology = this.mazeGenerator.topology;
+        const { width, height } = this.canvas;
+        const [fog, light] = this.getFogLayers();
+        const px = this.playerVisual.x * size;
+        const py = this.playerVisual.y * size;
+        const radius = (this.fogRadius + 0.5) * size;
+        
+        // Lit cells, stroked too so their walls are lit along with them
+        light.save();
+        light.clearRect(0, 0, width, height);
+        this.applyCamera(light);
+        light.fillStyle = light.strokeStyle = '#fff';
+        light.lineWidth = this.wallThickness + 2;
+        light.beginPath();
+        for (const cell of this.litCells) {
+            topology.traceCell(light, cell, size);
+        }
+        light.fill();
+        light.stroke();
+        
+        // Full light up to half the radius, fading out toward its edge
+        const falloff = light.createRadialGradient(px, py, 0, px, py, radius);
+        falloff.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        falloff.addColorStop(0.5, 'rgba(255, 255, 255, 1)');
+        falloff.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        light.globalCompositeOperation = 'source-in';
+        light.fillStyle = falloff;
+        light.fillRect(px - radius, py - radius, radius * 2, radius * 2);
+        light.restore();
+        
+        fog.save();
+        fog.clearRect(0, 0, width, height);
+        fog.fillStyle = this.colors.fog;
+        fog.fillRect(0, 0, width, height);
+        fog.globalCompositeOperation = 'destination-out';
+        fog.drawImage(light.canvas, 0, 0);
+        fog.restore();
+        
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.drawImage(fog.canvas, 0, 0);
+        this.ctx.restore();
+    }
+    
+    // Contexts of the fog and light layers, sized to the canvas
+    getFogLayers() {
+        if (!this.fogLayers) {
+            this.fogLayers = [document.createElement('canvas'), document.createElement('canvas')];
+        }
+        return this.fogLayers.map(layer => {
+            if (layer.width !== this.canvas.width || layer.height !== this.canvas.height) {
+                layer.width = this.canvas.width;
+                layer.height = this.canvas.height;
+            }
+            return layer.getContext('2d');
+        });
+    }
+    
+    // Bridge over a tunnel: the passage over the crossing runs between two rails, and
+    // the walls of the tunnel underneath stop short of it, leaving a gap either side
+    drawCrossing(ctx, cell) {
+        const size = this.cellSize;
+        const center = this.mazeGenerator.topology.center(cell.x, cell.y);
+        const half = size / 2;
+        const deck = size * 0.25;
+        const gap = size * 0.1;
+        
+        ctx.save();
+        ctx.translate(center.x * size, center.y * size);
+        if (!cell.tunnel.includes('left')) {
+            ctx.rotate(Math.PI / 2); // Draw as if the tunnel ran left to right
+        }
+        
+        // Tunnel in shadow, bridge deck over it
+        ctx.fillStyle = this.colors.tunnel;
+        ctx.fillRect(-half, -half, size, size);
+        ctx.fillStyle = this.colors.path;
+        ctx.fillRect(-deck, -half, deck * 2, size);
+        
+        ctx.strokeStyle = this.colors.wall;
+        ctx.lineWidth = this.wallThickness;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        for (const side of [-1, 1]) {
+            // Bridge rail
+            ctx.moveTo(side * deck, -half);
+            ctx.lineTo(side * deck, half);
+            // Tunnel walls, on both edges of the cell
+            for (const edge of [-half, half]) {
+                ctx.moveTo(side * half, edge);
+                ctx.lineTo(side * (deck + gap), edge);
+            }
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    // Triangles pointing up and/or down for the stairs in a cell
+    drawStairs(ctx, cell) {
+        const size = this.cellSize;
+        const center = this.mazeGenerator.topology.center(cell.x, cell.y);
+        const px = center.x * size;
+        const py = center.y * size;
+        const half = size * 0.14;
+        
+        ctx.save();
+        ctx.fillStyle = this.colors.stairs;
+        if (!cell.walls.up) {
+            const tip = cell.walls.down ? py - half : py - half * 2.2;
+            ctx.beginPath();
+            ctx.moveTo(px, tip);
+            ctx.lineTo(px + half, tip + half * 1.6);
+            ctx.lineTo(px - half, tip + half * 1.6);
+            ctx.fill();
+        }
+        if (!cell.walls.down) {
+            const tip = cell.walls.up ? py + half : py + half * 2.2;
+            ctx.beginPath();
+            ctx.moveTo(px, tip);
+            ctx.lineTo(px + half, tip - half * 1.6);
+            ctx.lineTo(px - half, tip - half * 1.6);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+    
     drawCarveHead() {
         const ctx = this.ctx;
         const size = this.cellSize;
-        const px = this.currentCarveHead.x * size + size / 2;
-        const py = this.currentCarveHead.y * size + size / 2;
+        const center = this.mazeGenerator.topology.center(this.currentCarveHead.x, this.currentCarveHead.y);
+        const px = center.x * size;
+        const py = center.y * size;
         const radius = size * 0.25;
         
         // Pulsing glow effect
@@ -547,11 +2657,93 @@ class MazerGame {
         ctx.fill();
     }
     
+    /**
+     * Next few cells on the optimal path from the player, following the exit distance map
+     * downhill. With locked doors it's the route by way of the keys still needed instead,
+     * searched again only when the mouse moves or picks one up.
+     */
+    getHintPath() {
+        let cell = this.mazeGenerator.getCell(this.player.x, this.player.y);
+        if (this.items?.doors.length > 0) {
+            const held = this.items.heldColors.join();
+            if (this.hintRoute?.cell !== cell || this.hintRoute.held !== held || this.hintRoute.items !== this.items) {
+                this.hintRoute = { cell, held, items: this.items, route: this.items.routeToExit(cell) ?? [] };
+            }
+            return this.hintRoute.route.slice(0, this.hintSteps);
+        }
+        
+        const path = [];
+        while (path.length < this.hintSteps) {
+            const distance = this.exitDistances[cell.y][cell.x];
+            if (distance === 0) break;
+            
+            const next = this.mazeGenerator.getOpenNeighbors(cell)
+                .find(neighbor => this.exitDistances[neighbor.y][neighbor.x] === distance - 1);
+            if (!next) break;
+            
+            path.push(next);
+            cell = next;
+        }
+        
+        return path;
+    }
+    
+    drawHint() {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const path = this.getHintPath();
+        const topology = this.mazeGenerator.topology;
+        
+        ctx.save();
+        ctx.fillStyle = this.colors.hint;
+        path.forEach((cell, i) => {
+            // Steps past a staircase are on another floor
+            if (topology.floorOf(cell.y) !== this.getViewFloor()) return;
+
+            // Fade out further along the path
+            ctx.globalAlpha = 1 - i / (path.length + 1);
+            ctx.beginPath();
+            const center = topology.center(cell.x, cell.y);
+            ctx.arc(center.x * size, center.y * size, size * 0.12, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+    
+    // Dots along the route to a clicked or hovered cell, and a ring round the cell at its end
+    drawWalkPath(path) {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const topology = this.mazeGenerator.topology;
+        const floor = this.getViewFloor();
+        
+        ctx.save();
+        ctx.fillStyle = this.colors.walk;
+        ctx.strokeStyle = this.colors.walk;
+        ctx.lineWidth = 2;
+        path.forEach((cell, i) => {
+            // Steps past a staircase are on another floor
+            if (topology.floorOf(cell.y) !== floor) return;
+            
+            const center = topology.center(cell.x, cell.y);
+            ctx.beginPath();
+            if (i === path.length - 1) {
+                ctx.arc(center.x * size, center.y * size, size * 0.25, 0, Math.PI * 2);
+                ctx.stroke();
+            } else {
+                ctx.arc(center.x * size, center.y * size, size * 0.08, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+        ctx.restore();
+    }
+    
     drawExit() {
         const ctx = this.ctx;
         const size = this.cellSize;
-        const px = this.exit.x * size + size / 2;
-        const py = this.exit.y * size + size / 2;
+        const center = this.mazeGenerator.topology.center(this.exit.x, this.exit.y);
+        const px = center.x * size;
+        const py = center.y * size;
         
         // Exit emoji only - improved text rendering
         ctx.save();
@@ -563,13 +2755,102 @@ class MazerGame {
         ctx.restore();
     }
     
+    // The run being raced, a see-through mouse, only on the floor in view and where the mouse can see
+    drawGhost() {
+        const position = this.ghost.trace[this.ghost.index];
+        if (this.mazeGenerator.topology.floorOf(position.y) !== this.getViewFloor()) return;
+        if (this.isFogged() && !this.litCells.has(this.mazeGenerator.getCell(position.x, position.y))) return;
+        
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        ctx.save();
+        ctx.globalAlpha = this.ghostOpacity;
+        ctx.font = `${size * 0.68}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('🐭', this.ghost.visual.x * size, this.ghost.visual.y * size + 4);
+        ctx.restore();
+    }
+    
+    /**
+     * Doors as thick bars of their color across their passage (faint once their key is
+     * held), then the keys and crumbs not yet picked up, on the floor in view and only
+     * where the mouse has seen
+     */
+    drawItems() {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const topology = this.mazeGenerator.topology;
+        const floor = this.getViewFloor();
+        const fogged = this.isFogged();
+        const visible = (cell) => topology.floorOf(cell.y) === floor && (!fogged || this.seenCells.has(cell));
+        const held = this.items.heldColors;
+        
+        ctx.save();
+        ctx.lineWidth = this.wallThickness * 3;
+        ctx.lineCap = 'round';
+        for (const door of this.items.doors) {
+            if (!visible(door.from) && !visible(door.to)) continue;
+            ctx.globalAlpha = held.includes(door.color) ? 0.3 : 1;
+            ctx.strokeStyle = MazeItems.COLORS[door.color].color;
+            // Each side, as some grids only draw a shared wall from one of them
+            ctx.beginPath();
+            topology.traceWall(ctx, door.from, topology.directionBetween(door.from, door.to), size);
+            topology.traceWall(ctx, door.to, topology.directionBetween(door.to, door.from), size);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+        
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const key of this.items.keys) {
+            if (key.taken || !visible(key.cell)) continue;
+            const center = topology.center(key.cell.x, key.cell.y);
+            ctx.beginPath();
+            ctx.arc(center.x * size, center.y * size, size * 0.32, 0, Math.PI * 2);
+            ctx.fillStyle = MazeItems.COLORS[key.color].color;
+            ctx.fill();
+            ctx.font = `${size * 0.45}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+            ctx.fillText('🔑', center.x * size, center.y * size + 2);
+        }
+        ctx.font = `${size * 0.3}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+        for (const crumb of this.items.crumbs) {
+            if (crumb.eaten || !visible(crumb.cell)) continue;
+            const center = topology.center(crumb.cell.x, crumb.cell.y);
+            ctx.fillText('🍪', center.x * size, center.y * size + 1);
+        }
+        ctx.restore();
+    }
+    
+    // Cats on the floor in view, where the mouse can see them
+    drawCats() {
+        const ctx = this.ctx;
+        const size = this.cellSize;
+        const topology = this.mazeGenerator.topology;
+        ctx.save();
+        ctx.font = `${size * 0.68}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const cat of this.cats) {
+            if (topology.floorOf(cat.cell.y) !== this.getViewFloor()) continue;
+            if (this.isFogged() && !this.litCells.has(cat.cell)) continue;
+            ctx.fillText(this.catEmoji(cat), cat.visual.x * size, cat.visual.y * size + 4);
+        }
+        ctx.restore();
+    }
+    
+    // A cat that's after the mouse looks it
+    catEmoji(cat) {
+        return cat.chasing ? '😾' : '🐱';
+    }
+    
     drawPlayer() {
         const ctx = this.ctx;
         const size = this.cellSize;
         
         // Use visual position for smooth animation
-        const px = this.playerVisual.x * size + size / 2;
-        const py = this.playerVisual.y * size + size / 2;
+        const px = this.playerVisual.x * size;
+        const py = this.playerVisual.y * size;
         
         // Player emoji only - improved text rendering
         ctx.save();
@@ -0,0 +1,324 @@
+/**
+ * Input - turns keys, swipes, the on-screen D-pad and gamepads into game actions
+ *
+ * Every source reports actions by name ('up', 'upLeft', 'floorUp', 'hint'...) to the
+ * onAction(action, repeated, run) callback, so the game never deals with keys or buttons itself. Which way
+ * an action moves depends on the maze's grid (see MazerGame.ACTION_DIRECTIONS).
+ *
+ * - Keyboard: each action has a list of keys, remappable and saved in localStorage
+ * - Touch: a swipe across the canvas moves the way it points, and the D-pad laid over
+ *   the canvas works like keys. A tap or click that's too short for a swipe goes to
+ *   onTap(clientX, clientY) instead.
+ * - Zoom: the mouse wheel or pinching two fingers on the canvas calls onZoom(factor),
+ *   factor being how much bigger the view should get (below 1 to zoom out)
+ * - Gamepads (Gamepad API, standard mapping): the D-pad and left stick move, the stick
+ *   only past a dead zone, and the shoulder buttons take the stairs. Polled each frame.
+ *
+ * Holding a movement action repeats it after repeatDelay, repeatRate times a second.
+ * The browser's own key repeat is ignored so every source repeats the same way.
+ * A move made with Shift held, or pressed twice within doubleTapTime, is a run: the game
+ * keeps going that way to the next junction.
+ */
+class InputManager {
+    static DEFAULT_BINDINGS = {
+        up: ['ArrowUp', 'w'],
+        down: ['ArrowDown', 's'],
+        left: ['ArrowLeft', 'a'],
+        right: ['ArrowRight', 'd'],
+        upLeft: ['q'],
+        upRight: ['e'],
+        downLeft: ['z'],
+        downRight: ['c'],
+        floorUp: ['PageUp', '<'],
+        floorDown: ['PageDown', '>'],
+        hint: ['h'],
+        view: ['v'],
+        minimap: ['m'],
+        zoomIn: ['+', '='],
+        zoomOut: ['-']
+    };
+
+    // Actions that repeat while held, the rest fire once per press
+    static MOVE_ACTIONS = ['up', 'down', 'left', 'right', 'upLeft', 'upRight', 'downLeft', 'downRight', 'floorUp', 'floorDown'];
+
+    // Screen angle of each direction action in degrees, counterclockwise from right,
+    // for matching swipes and sticks to the nearest one
+    static ACTION_ANGLES = {
+        right: 0, upRight: 45, up: 90, upLeft: 135, left: 180, downLeft: 225, down: 270, downRight: 315
+    };
+
+    static STORAGE_KEY = 'mazer.keyBindings';
+
+    constructor(onAction, options = {}) {
+        this.onAction = onAction;
+        this.repeatDelay = options.repeatDelay ?? 250; // Milliseconds before a held move repeats
+        this.repeatRate = options.repeatRate ?? 8; // Repeats per second
+        this.deadZone = options.deadZone ?? 0.35; // Stick travel (0-1) ignored around the center
+        this.swipeDistance = options.swipeDistance ?? 30; // Pixels a touch must travel to be a swipe
+        this.doubleTapTime = options.doubleTapTime ?? 300; // Milliseconds between two presses to run
+        this.onTap = options.onTap ?? null;
+        this.onZoom = options.onZoom ?? null;
+        this.wheelZoom = options.wheelZoom ?? 0.002; // Zoom per pixel of wheel scrolling, as a power of e
+
+        this.bindings = this.loadBindings();
+        this.directionActions = Object.keys(InputManager.ACTION_ANGLES); // Set per maze, see setDirectionActions()
+        this.held = new Map(); // Movement action held down, by source ('key:w', 'dpad', 'pad0'...)
+        this.repeat = null; // Latest hold: { source, action, run, next } with next the time it fires again
+        this.lastTap = null; // { action, time } of the last press, to spot double taps
+        this.capture = null; // { action, onDone } while waiting for a key to bind
+        this.swipeStart = null;
+        this.pointers = new Map(); // Pointers down on the canvas, by id, at their latest { x, y }
+        this.pinchDistance = null; // Between the two fingers of a pinch, when it last zoomed
+        this.dpad = null;
+    }
+
+    /**
+     * Start listening: keys on the document, swipes, pinches and the wheel on the canvas
+     * and presses on the D-pad's buttons (elements with a data-action attribute)
+     */
+    attach(canvas, dpad) {
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.release(`key:${InputManager.normalizeKey(e.key)}`));
+        // Keys released while the page is in the background never send keyup
+        window.addEventListener('blur', () => this.releaseAll());
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.button > 0) return; // Only the main mouse button
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            // A second finger makes it a pinch rather than a swipe or tap
+            this.swipeStart = this.pointers.size === 1 ? { x: e.clientX, y: e.clientY } : null;
+            this.pinchDistance = this.pointers.size === 2 ? this.fingerDistance() : null;
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.pinchDistance && this.pointers.size === 2) {
+                const distance = this.fingerDistance();
+                if (distance > 0) {
+                    this.onZoom?.(distance / this.pinchDistance);
+                    this.pinchDistance = distance;
+                }
+            }
+        });
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.onZoom) return;
+            e.preventDefault();
+            this.onZoom(Math.exp(-e.deltaY * this.wheelZoom));
+        }, { passive: false });
+        canvas.addEventListener('pointerup', (e) => {
+            this.endPointer(e.pointerId);
+            if (!this.swipeStart) return;
+            const dx = e.clientX - this.swipeStart.x;
+            const dy = e.clientY - this.swipeStart.y;
+            this.swipeStart = null;
+            if (Math.hypot(dx, dy) >= this.swipeDistance) {
+                this.emit(this.nearestAction(dx, -dy));
+            } else if (this.onTap) {
+                this.onTap(e.clientX, e.clientY);
+            }
+        });
+        canvas.addEventListener('pointercancel', (e) => {
+            this.endPointer(e.pointerId);
+            this.swipeStart = null;
+        });
+
+        this.dpad = dpad;
+        for (const button of dpad.querySelectorAll('[data-action]')) {
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this.press('dpad', button.dataset.action);
+            });
+            for (const type of ['pointerup', 'pointerleave', 'pointercancel']) {
+                button.addEventListener(type, () => this.release('dpad'));
+            }
+        }
+    }
+
+    endPointer(id) {
+        this.pointers.delete(id);
+        if (this.pointers.size < 2) {
+            this.pinchDistance = null;
+        }
+    }
+
+    // Distance between the first two pointers down
+    fingerDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    handleKeyDown(e) {
+        const key = InputManager.normalizeKey(e.key);
+        if (this.capture) {
+            e.preventDefault();
+            const { action, onDone } = this.capture;
+            this.capture = null;
+            if (key !== 'Escape') {
+                this.bind(action, key);
+            }
+            onDone();
+            return;
+        }
+        // Keys typed into a form field are the field's: arrows step a number or a choice
+        if (InputManager.isFormField(e.target)) return;
+
+        const action = this.actionForKey(key);
+        if (!action) return;
+        e.preventDefault();
+        if (!e.repeat) {
+            this.press(`key:${key}`, action, e.shiftKey);
+        }
+    }
+
+    static isFormField(element) {
+        return ['INPUT', 'SELECT', 'TEXTAREA'].includes(element?.tagName) || element?.isContentEditable === true;
+    }
+
+    // Letter keys work with caps lock or shift held
+    static normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    press(source, action, run = false) {
+        run = this.emit(action, run);
+        if (InputManager.MOVE_ACTIONS.includes(action)) {
+            this.held.set(source, action);
+            this.repeat = { source, action, run, next: performance.now() + this.repeatDelay };
+        }
+    }
+
+    // Pass an action on, as a run if asked or if it's the second of a double tap. Returns whether it ran.
+    emit(action, run = false) {
+        const now = performance.now();
+        const doubleTap = this.lastTap?.action === action && now - this.lastTap.time <= this.doubleTapTime;
+        this.lastTap = doubleTap ? null : { action, time: now };
+        this.onAction(action, false, run || doubleTap);
+        return run || doubleTap;
+    }
+
+    // Stop a source's hold. If it was repeating, another move still held takes over.
+    release(source) {
+        this.held.delete(source);
+        if (this.repeat?.source !== source) return;
+
+        const [other, action] = [...this.held].pop() ?? [];
+        this.repeat = other ? { source: other, action, run: false, next: performance.now() + this.repeatDelay } : null;
+    }
+
+    releaseAll() {
+        this.held.clear();
+        this.repeat = null;
+    }
+
+    // Called every frame: read gamepads and repeat the latest held move when it's due
+    update() {
+        this.pollGamepads();
+
+        const now = performance.now();
+        if (this.repeat && now >= this.repeat.next) {
+            this.onAction(this.repeat.action, true, this.repeat.run);
+            // After a stall (a hidden tab), carry on at the normal rate instead of catching up
+            this.repeat.next = Math.max(this.repeat.next + 1000 / this.repeatRate, now);
+        }
+    }
+
+    pollGamepads() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        for (const pad of pads) {
+            if (!pad) continue;
+            const source = `pad${pad.index}`;
+            const action = this.gamepadAction(pad);
+            if (action === (this.held.get(source) ?? null)) continue;
+
+            this.release(source);
+            if (action) {
+                this.press(source, action);
+            }
+        }
+    }
+
+    // Action a gamepad is holding (standard mapping: buttons 12-15 the D-pad, 4 and 5 the shoulders)
+    gamepadAction(pad) {
+        const pressed = (index) => pad.buttons[index]?.pressed ?? false;
+        if (pressed(5)) return 'floorUp';
+        if (pressed(4)) return 'floorDown';
+
+        const x = (pressed(15) - pressed(14)) || (pad.axes[0] ?? 0);
+        const y = (pressed(12) - pressed(13)) || -(pad.axes[1] ?? 0);
+        if (Math.hypot(x, y) < this.deadZone) return null;
+        return this.nearestAction(x, y);
+    }
+
+    // Direction action closest to a screen vector (y pointing up)
+    nearestAction(x, y) {
+        const angle = Math.atan2(y, x) * 180 / Math.PI;
+        const gap = (action) => {
+            const difference = Math.abs(angle - InputManager.ACTION_ANGLES[action]) % 360;
+            return Math.min(difference, 360 - difference);
+        };
+        return this.directionActions.reduce((best, action) => gap(action) < gap(best) ? action : best);
+    }
+
+    /**
+     * Limit swipes, sticks and the D-pad to the directions the current maze has
+     * (square grids have no diagonals). D-pad buttons for the others are hidden.
+     */
+    setDirectionActions(actions) {
+        this.directionActions = Object.keys(InputManager.ACTION_ANGLES).filter(action => actions.includes(action));
+        for (const button of this.dpad?.querySelectorAll('[data-action]') ?? []) {
+            const action = button.dataset.action;
+            button.classList.toggle('hidden', action in InputManager.ACTION_ANGLES && !actions.includes(action));
+        }
+    }
+
+    actionForKey(key) {
+        return Object.keys(this.bindings).find(action => this.bindings[action].includes(key)) ?? null;
+    }
+
+    // The next key pressed is bound to the action (Escape cancels), then onDone is called
+    captureKey(action, onDone) {
+        this.capture = { action, onDone };
+    }
+
+    // Make key the only key for an action, taking it away from any other action
+    bind(action, key) {
+        for (const other of Object.keys(this.bindings)) {
+            this.bindings[other] = this.bindings[other].filter(bound => bound !== key);
+        }
+        this.bindings[action] = [key];
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.bindings = InputManager.defaultBindings();
+        this.saveBindings();
+    }
+
+    static defaultBindings() {
+        return Object.fromEntries(Object.entries(InputManager.DEFAULT_BINDINGS).map(([action, keys]) => [action, [...keys]]));
+    }
+
+    // Saved bindings over the defaults, so actions added later still get their keys
+    loadBindings() {
+        const bindings = InputManager.defaultBindings();
+        try {
+            const saved = JSON.parse(localStorage.getItem(InputManager.STORAGE_KEY));
+            for (const action of Object.keys(bindings)) {
+                if (Array.isArray(saved?.[action])) {
+                    bindings[action] = saved[action].filter(key => typeof key === 'string');
+                }
+            }
+        } catch (e) {
+            // Unreadable or blocked storage - play with the defaults
+        }
+        return bindings;
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(InputManager.STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            // Storage can be blocked (private browsing, file:// pages) - bindings last until reload
+        }
+    }
+}
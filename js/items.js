@@ -0,0 +1,242 @@
+/**
+ * Items - colored keys, the locked doors they open, and crumbs to collect
+ *
+ * A door sits in an open passage on the route to the exit with no way round it, and
+ * blocks it, both ways, until the mouse holds the key of its color. Braided mazes have
+ * fewer such passages, so they may get fewer doors, or none. Keys are kept once picked
+ * up. Crumbs are optional, each one eaten counts toward the level's score.
+ *
+ * Placement keeps every maze solvable: doors are ordered along the route from the
+ * start, and the key to each is put where the mouse can get to with that door and
+ * every later one still shut (any earlier door can be opened by then, its key being
+ * reachable first). Keys go off the route where there's room, so fetching them is
+ * a detour.
+ *
+ * Doors are between cells side by side on the same floor, never on stairs or through
+ * the tunnels of weave mazes.
+ */
+class MazeItems {
+    // Door and key colors, in the order doors are given them along the route, with the
+    // emoji shown for a held key
+    static COLORS = {
+        red: { color: '#f87171', emoji: '🔴' },
+        blue: { color: '#60a5fa', emoji: '🔵' },
+        yellow: { color: '#facc15', emoji: '🟡' },
+        green: { color: '#4ade80', emoji: '🟢' }
+    };
+
+    constructor(generator) {
+        this.generator = generator;
+        this.doors = []; // { from, to, color } cells either side of the passage
+        this.keys = []; // { cell, color, taken }
+        this.crumbs = []; // { cell, eaten }
+    }
+
+    /**
+     * Place up to options.doors locked doors with their keys and options.crumbs crumbs,
+     * drawing every choice from options.random so the same maze gets the same items
+     */
+    static place(generator, options = {}) {
+        const items = new MazeItems(generator);
+        const random = options.random ?? new SeededRandom(SeededRandom.randomSeed());
+        const topology = generator.topology;
+        const start = generator.getCell(generator.start.x, generator.start.y);
+        const exit = generator.getCell(generator.exit.x, generator.exit.y);
+
+        // Passages along the route that can take a door: not out of the start or into the
+        // exit, and with no loop round them, so the key is needed. Braided mazes may have none.
+        const route = new MazeSolver(generator).shortestPath(start, exit, 'bfs')
+            .map(position => generator.getCell(position.x, position.y));
+        const bridges = MazeItems.bridges(generator, route);
+        const passages = [];
+        for (let i = 1; i < route.length - 2; i++) {
+            const direction = topology.directionBetween(route[i], route[i + 1]);
+            if (bridges[i] && direction && direction !== 'up' && direction !== 'down') {
+                passages.push({ from: route[i], to: route[i + 1] });
+            }
+        }
+
+        // One door in each of as many equal stretches of them
+        const colors = Object.keys(MazeItems.COLORS);
+        const count = Math.min(options.doors ?? 0, colors.length, passages.length);
+        const doors = [];
+        for (let i = 0; i < count; i++) {
+            const stretch = passages.slice(Math.floor(i * passages.length / count), Math.floor((i + 1) * passages.length / count));
+            doors.push({ ...random.pick(stretch), color: colors[i] });
+        }
+
+        // Each key where it can be reached with its door and the ones after it shut.
+        // A door with nowhere for its key is left out.
+        const onRoute = new Set(route);
+        const used = new Set([start, exit]);
+        items.doors = doors.filter((door, i) => {
+            const shut = doors.slice(i);
+            const region = items.reachable(start, (from, to) => shut.some(other => MazeItems.joins(other, from, to)));
+            const places = region.filter(cell => !used.has(cell));
+            if (places.length === 0) return false;
+            const detours = places.filter(cell => !onRoute.has(cell));
+            const cell = random.pick(detours.length > 0 ? detours : places);
+            used.add(cell);
+            items.keys.push({ cell, color: door.color, taken: false });
+            return true;
+        });
+
+        const free = random.shuffle(generator.getCells().filter(cell => !used.has(cell)));
+        items.crumbs = free.slice(0, options.crumbs ?? 0).map(cell => ({ cell, eaten: false }));
+        return items;
+    }
+
+    /**
+     * Whether each step along a route (from route[i] to route[i + 1]) is the only way on:
+     * with the route's own passages shut, no other way joins a cell before the step to
+     * one after it
+     */
+    static bridges(generator, route) {
+        const index = new Map(route.map((cell, i) => [cell, i]));
+        const alongRoute = (from, to) => index.has(from) && index.has(to) && Math.abs(index.get(from) - index.get(to)) === 1;
+
+        // The route cells each part of the maze off the route touches: its steps from the
+        // first to the last of them have a way round
+        const seen = new Set();
+        const bypassed = new Array(route.length).fill(0);
+        for (const cell of route) {
+            if (seen.has(cell)) continue;
+            seen.add(cell);
+            const queue = [cell];
+            let first = index.get(cell);
+            let last = first;
+            for (let i = 0; i < queue.length; i++) {
+                for (const neighbor of generator.getOpenNeighbors(queue[i])) {
+                    if (seen.has(neighbor) || alongRoute(queue[i], neighbor)) continue;
+                    seen.add(neighbor);
+                    queue.push(neighbor);
+                    if (index.has(neighbor)) {
+                        first = Math.min(first, index.get(neighbor));
+                        last = Math.max(last, index.get(neighbor));
+                    }
+                }
+            }
+            bypassed[first]++;
+            bypassed[last]--;
+        }
+
+        // Steps no part spans
+        const bridges = [];
+        let spans = 0;
+        for (let i = 0; i < route.length - 1; i++) {
+            spans += bypassed[i];
+            bridges.push(spans === 0);
+        }
+        return bridges;
+    }
+
+    // Whether a door is in the passage between two cells, from either side
+    static joins(door, from, to) {
+        return (door.from === from && door.to === to) || (door.from === to && door.to === from);
+    }
+
+    // Cells reachable from a cell through open passages that blocked(from, to) doesn't shut
+    reachable(start, blocked) {
+        const seen = new Set([start]);
+        const queue = [start];
+        for (let i = 0; i < queue.length; i++) {
+            for (const neighbor of this.generator.getOpenNeighbors(queue[i])) {
+                if (!seen.has(neighbor) && !blocked(queue[i], neighbor)) {
+                    seen.add(neighbor);
+                    queue.push(neighbor);
+                }
+            }
+        }
+        return queue;
+    }
+
+    get heldColors() {
+        return this.keys.filter(key => key.taken).map(key => key.color);
+    }
+
+    get crumbsEaten() {
+        return this.crumbs.filter(crumb => crumb.eaten).length;
+    }
+
+    // The locked door shutting the passage between two cells, or null
+    lockedDoor(from, to) {
+        const held = this.heldColors;
+        return this.doors.find(door => MazeItems.joins(door, from, to) && !held.includes(door.color)) ?? null;
+    }
+
+    isLocked(from, to) {
+        return this.lockedDoor(from, to) !== null;
+    }
+
+    // Pick up whatever is in a cell. Returns whether there was anything.
+    collect(cell) {
+        const key = this.keys.find(key => key.cell === cell && !key.taken);
+        const crumb = this.crumbs.find(crumb => crumb.cell === cell && !crumb.eaten);
+        if (key) key.taken = true;
+        if (crumb) crumb.eaten = true;
+        return Boolean(key || crumb);
+    }
+
+    // Fewest moves from the start to the exit, picking up the keys needed on the way
+    solutionLength() {
+        const generator = this.generator;
+        return this.routeToExit(generator.getCell(generator.start.x, generator.start.y), [])?.length ?? Infinity;
+    }
+
+    /**
+     * Fewest-move route from a cell to the exit holding the keys of the held colors, and
+     * picking up any more it needs on the way: the cells after from, or null if the exit
+     * can't be reached. Searches (cell, keys held) states, as a key changes where the
+     * mouse can go.
+     */
+    routeToExit(from, held = this.heldColors) {
+        const generator = this.generator;
+        const exit = generator.getCell(generator.exit.x, generator.exit.y);
+        const keyAt = new Map(this.keys.map((key, i) => [key.cell, 1 << i]));
+        const doorKeys = this.doors.map(door => 1 << this.keys.findIndex(key => key.color === door.color));
+        const startHeld = this.keys.reduce((bits, key, i) => held.includes(key.color) ? bits | 1 << i : bits, 0) |
+            (keyAt.get(from) ?? 0);
+
+        // The state each state was reached from, for each set of keys held
+        const previous = Array.from({ length: 1 << this.keys.length }, () => new Map());
+        previous[startHeld].set(from, null);
+        const queue = [[from, startHeld]];
+        for (let i = 0; i < queue.length; i++) {
+            const [cell, bits] = queue[i];
+            if (cell === exit) {
+                const route = [];
+                for (let state = queue[i]; state[0] !== from || state[1] !== startHeld; state = previous[state[1]].get(state[0])) {
+                    route.push(state[0]);
+                }
+                return route.reverse();
+            }
+            for (const neighbor of generator.getOpenNeighbors(cell)) {
+                const locked = this.doors.some((door, d) => MazeItems.joins(door, cell, neighbor) && !(bits & doorKeys[d]));
+                if (locked) continue;
+                const nextBits = bits | (keyAt.get(neighbor) ?? 0);
+                if (!previous[nextBits].has(neighbor)) {
+                    previous[nextBits].set(neighbor, queue[i]);
+                    queue.push([neighbor, nextBits]);
+                }
+            }
+        }
+        return null;
+    }
+
+    // What's been picked up, to save and restore: colors of the keys held and indexes of the crumbs eaten
+    toJSON() {
+        return {
+            keys: this.heldColors,
+            crumbs: this.crumbs.flatMap((crumb, i) => crumb.eaten ? [i] : [])
+        };
+    }
+
+    restore(saved) {
+        for (const key of this.keys) {
+            key.taken = saved?.keys?.includes(key.color) ?? false;
+        }
+        this.crumbs.forEach((crumb, i) => {
+            crumb.eaten = saved?.crumbs?.includes(i) ?? false;
+        });
+    }
+}
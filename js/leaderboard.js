@@ -0,0 +1,132 @@
+/**
+ * Leaderboard - personal bests for every maze finished, kept in localStorage
+ *
+ * Mazes are told apart by what rebuilds them: grid, size, floors, algorithm, braiding,
+ * extra wall removal, weave and seed. Mazes that a seed can't rebuild (shaped ones and
+ * those loaded from a code) go by the hash of their code instead, and as their options
+ * aren't known, they're listed without an algorithm. The locked doors, crumbs and cats
+ * a maze is played with (MazerGame.itemRules()) tell it apart too, as they change the
+ * route and what can be scored.
+ *
+ * Each maze has one entry: the best time, the fewest moves (not always the same run),
+ * the most crumbs eaten, the optimal move count, how many times it was finished and when
+ * a best was last set.
+ */
+class Leaderboard {
+    static STORAGE_KEY = 'mazer.leaderboard';
+
+    constructor(maxEntries = 500) {
+        this.maxEntries = maxEntries; // The entries improved longest ago are dropped past this
+        this.entries = this.load();
+    }
+
+    // What makes a maze the same maze, and the key it's stored under
+    static identity(generator, rules = {}) {
+        const known = generator.seed !== null && !generator.topology.mask;
+        const identity = {
+            topology: generator.topology.name,
+            width: generator.width,
+            height: generator.height,
+            floors: generator.floors,
+            algorithm: known ? generator.algorithm : null,
+            braidingFactor: known ? generator.braidingFactor : null,
+            extraWallRemoval: known ? generator.extraWallRemoval : null,
+            weave: known ? generator.weave : null,
+            seed: known ? generator.seed : null,
+            mazeId: known ? null : Replay.mazeId(generator.encode()),
+            lockedDoors: rules.lockedDoors ?? 0,
+            crumbCount: rules.crumbCount ?? 0,
+            catCount: rules.catCount ?? 0
+        };
+        identity.key = [
+            identity.topology, identity.width, identity.height, identity.floors, identity.algorithm,
+            identity.braidingFactor, identity.extraWallRemoval, identity.weave, identity.seed ?? identity.mazeId,
+            identity.lockedDoors, identity.crumbCount, identity.catCount
+        ].join('|');
+        return identity;
+    }
+
+    get(key) {
+        return this.entries.find(entry => entry.key === key) ?? null;
+    }
+
+    /**
+     * Add a finished run ({ time, moves, par, crumbs }, time in milliseconds). Returns the maze's
+     * entry as it was before (null the first time) and whether the run set a best time
+     * or fewest moves.
+     */
+    record(identity, run) {
+        let entry = this.get(identity.key);
+        const previous = entry ? { ...entry } : null;
+        if (!entry) {
+            entry = { ...identity, bestTime: Infinity, fewestMoves: Infinity, runs: 0 };
+            this.entries.push(entry);
+        }
+
+        const bestTime = run.time < entry.bestTime;
+        const fewestMoves = run.moves < entry.fewestMoves;
+        entry.bestTime = Math.min(entry.bestTime, run.time);
+        entry.fewestMoves = Math.min(entry.fewestMoves, run.moves);
+        entry.mostCrumbs = Math.max(entry.mostCrumbs ?? 0, run.crumbs ?? 0);
+        entry.par = run.par;
+        entry.runs++;
+        if (bestTime || fewestMoves) {
+            entry.date = Date.now();
+        }
+
+        this.save();
+        return { previous, bestTime, fewestMoves };
+    }
+
+    /**
+     * Entries matching the filters (any that are null match everything), fastest first.
+     * size is 'width×height'.
+     */
+    query({ algorithm = null, size = null } = {}) {
+        return this.entries
+            .filter(entry => algorithm === null || entry.algorithm === algorithm)
+            .filter(entry => size === null || Leaderboard.sizeOf(entry) === size)
+            .sort((a, b) => a.bestTime - b.bestTime || a.fewestMoves - b.fewestMoves);
+    }
+
+    static sizeOf(entry) {
+        return `${entry.width}×${entry.height}`;
+    }
+
+    // Doors, crumbs and cats as 'doors/crumbs/cats', or '-' for entries saved before they counted
+    static rulesOf(entry) {
+        return 'lockedDoors' in entry ? `${entry.lockedDoors}/${entry.crumbCount}/${entry.catCount}` : '-';
+    }
+
+    // Values the entries have for the filters, to offer as choices
+    algorithms() {
+        return [...new Set(this.entries.map(entry => entry.algorithm).filter(algorithm => algorithm !== null))].sort();
+    }
+
+    sizes() {
+        const entries = [...this.entries].sort((a, b) => a.width * a.height - b.width * b.height);
+        return [...new Set(entries.map(Leaderboard.sizeOf))];
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(Leaderboard.STORAGE_KEY));
+            return Array.isArray(entries) ? entries.filter(entry => typeof entry?.key === 'string') : [];
+        } catch (e) {
+            // Unreadable or blocked storage - start an empty board
+            return [];
+        }
+    }
+
+    save() {
+        if (this.entries.length > this.maxEntries) {
+            this.entries.sort((a, b) => b.date - a.date);
+            this.entries.length = this.maxEntries;
+        }
+        try {
+            localStorage.setItem(Leaderboard.STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (e) {
+            // Storage can be blocked or full - bests last until reload
+        }
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Maze masks - mazes shaped other than a full rectangle
+ *
+ * A mask marks which cells of the width x height grid belong to the maze. MazeGenerator
+ * takes any of these forms as its mask option and turns them into rows of booleans
+ * (mask[y][x] is true inside the maze) with MazeMask.from():
+ * - a 2D array, truthy for cells inside the maze
+ * - ASCII art, one line per row: '.' and spaces are outside, any other character is a cell
+ * - an image (img, canvas, ImageBitmap...), scaled down to one pixel per cell on an
+ *   offscreen canvas: dark, opaque pixels are cells, light or transparent ones outside
+ *
+ * Anything past the edge of the mask is outside the maze.
+ */
+class MazeMask {
+    static OUTSIDE_CHARS = '. ';
+
+    static from(source, width, height) {
+        if (typeof source === 'string') {
+            return MazeMask.fromString(source, width, height);
+        }
+        if (Array.isArray(source)) {
+            return MazeMask.fromRows(source, width, height);
+        }
+        if (source && source.width > 0 && source.height > 0) {
+            return MazeMask.fromImage(source, width, height);
+        }
+        throw new Error('Maze mask must be a 2D array, an ASCII string or an image');
+    }
+
+    static fromRows(rows, width, height) {
+        const mask = [];
+        for (let y = 0; y < height; y++) {
+            const row = [];
+            for (let x = 0; x < width; x++) {
+                row.push(Boolean(rows[y]?.[x]));
+            }
+            mask.push(row);
+        }
+        return mask;
+    }
+
+    static fromString(text, width, height) {
+        const lines = text.split(/\r?\n/);
+        // Blank first and last lines are usually just template literal padding
+        while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+        while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+
+        const rows = lines.map(line => Array.from(line, char => !MazeMask.OUTSIDE_CHARS.includes(char)));
+        return MazeMask.fromRows(rows, width, height);
+    }
+
+    static fromImage(image, width, height) {
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+
+        const rows = [];
+        for (let y = 0; y < height; y++) {
+            const row = [];
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const luminance = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+                row.push(pixels[i + 3] >= 128 && luminance < 128);
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    // ASCII art form, '#' for cells and '.' outside, readable by fromString()
+    static toString(mask) {
+        return mask.map(row => row.map(inside => inside ? '#' : '.').join('')).join('\n');
+    }
+}
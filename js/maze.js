@@ -5,47 +5,109 @@
  * - 'backtrack': Recursive backtracking (long corridors, simple)
  * - 'kruskal': Randomized Kruskal's (more branching, moderate)
  * - 'huntAndKill': Hunt and Kill (complex patterns, challenging)
+ * - 'prim': Randomized Prim's (short branches radiating from the start)
+ * - 'wilson': Wilson's loop-erased random walks (uniform spanning tree, unbiased)
+ * - 'aldousBroder': Aldous-Broder random walk (uniform spanning tree, slow to finish)
+ * - 'growingTree': Growing Tree, texture set by growingTreePolicy
+ * - 'binaryTree': Binary Tree (diagonal bias, open top row and right column)
+ * - 'sidewinder': Sidewinder (open top row, vertical bias)
+ * - 'eller': Eller's row by row (constant memory per row, horizontal runs)
+ * 
+ * Binary Tree, Sidewinder and Eller's work row by row and need a single-floor square grid.
+ * 
+ * Grid options:
+ * - topology: 'square' (default), 'hex' or 'polar', see js/topology.js
+ * - start, exit: positions, default to the topology's (opposite corners, or rim and center)
+ * - mask: shape of the maze, as a 2D boolean array, ASCII art or an image (see js/mask.js).
+ *   Cells outside it are null in the grid. Every cell left is connected, and the default
+ *   start and exit are the first and last cells in row order.
+ * - floors: number of floors stacked with stairs between them (default 1). The grid holds
+ *   the floors one after another, see MultiFloorTopology in js/topology.js.
  * 
  * Complexity options:
  * - braidingFactor: 0-1, removes dead ends to create loops (0 = perfect maze, 1 = no dead ends)
  * - extraWallRemoval: 0-1, removes additional walls for multiple paths
+ * - weave: 0-1, how often passages tunnel under a perpendicular corridor (0 = flat maze).
+ *   Square grids and the kruskal, backtrack, huntAndKill and growingTree algorithms only.
+ *   A crossing cell has a straight passage over it (its open walls) and a tunnel under it:
+ *   cell.tunnel lists the two directions that lead into the tunnel. Walls toward a tunnel
+ *   are open on both sides, but stepping in through one comes out on the far side, see
+ *   getPassage().
+ * - growingTreePolicy: which active cell Growing Tree grows from: 'newest' (like backtracking),
+ *   'oldest', 'middle', 'random' (like Prim's), 'mixed' (newest or random, 50/50),
+ *   or a function (activeCells, random) => index
+ *
+ * Randomness options:
+ * - seed: string or number, the same seed and options always give the same maze
+ * - prng: PRNG factory passed to SeededRandom (defaults to mulberry32)
+ *
+ * Serialization (see toJSON/fromJSON and encode/decode):
+ * - JSON form: dimensions, topology, mask, start, exit, generator options, a wall bitmask per cell
+ *   and the tunnels of weave crossings
+ * - Compact form: base64url of a binary header, the mask (one bit per position) if there is one,
+ *   then one bit per forward wall of each cell (right and bottom on square grids), then the crossings
  */
 class MazeGenerator {
+    // Version of the serialized formats, bump when the layout changes.
+    // Older versions can still be read: 1 (square grids only, no topology field),
+    // 2 (no mask), 3 (single floor) and 4 (no crossings).
+    static FORMAT_VERSION = 5;
+    static READABLE_VERSIONS = [1, 2, 3, 4, 5];
+    
+    // Names accepted by the algorithm option
+    static ALGORITHMS = [
+        'backtrack', 'kruskal', 'huntAndKill', 'prim', 'wilson', 'aldousBroder',
+        'growingTree', 'binaryTree', 'sidewinder', 'eller'
+    ];
+    
+    // Algorithms that can weave passages over and under each other
+    static WEAVE_ALGORITHMS = ['kruskal', 'backtrack', 'huntAndKill', 'growingTree'];
+    
+    // Directions of a square grid in pairs: where one runs under a crossing, the other runs over it
+    static WEAVE_AXES = [['left', 'right'], ['top', 'bottom']];
+    
     constructor(width, height, options = {}) {
         this.width = width;
         this.height = height;
+        const mask = options.mask ? MazeMask.from(options.mask, width, height) : null;
+        this.floors = options.floors ?? 1;
+        this.topology = GridTopology.create(options.topology || 'square', width, height, mask, this.floors);
         this.grid = [];
         this.generationSteps = []; // Records each step for animated playback
         
         // Algorithm and complexity options
-        this.algorithm = options.algorithm || 'kruskal'; // 'backtrack', 'kruskal', 'huntAndKill'
+        this.algorithm = options.algorithm || 'kruskal'; // One of MazeGenerator.ALGORITHMS
+        this.growingTreePolicy = options.growingTreePolicy || 'mixed';
         this.braidingFactor = options.braidingFactor ?? 0.3; // Remove 30% of dead ends by default
         this.extraWallRemoval = options.extraWallRemoval ?? 0.05; // Remove 5% extra walls
+        this.weave = options.weave ?? 0; // Flat unless asked for
+        
+        // Randomness: every choice comes from this.random, reseeded on each generate()
+        // (seed is null for mazes loaded without one)
+        this.seed = 'seed' in options ? options.seed : SeededRandom.randomSeed();
+        this.prng = options.prng || SeededRandom.mulberry32;
+        this.random = new SeededRandom(this.seed, this.prng);
+        
+        // Start and exit cells (the topology's defaults unless a loaded maze says otherwise)
+        this.start = options.start || this.topology.defaultStart();
+        this.exit = options.exit || this.topology.defaultExit();
         
         this.init();
     }
 
     init() {
-        // Initialize grid with all walls
-        // Each cell has 4 walls: top, right, bottom, left
-        this.grid = [];
-        for (let y = 0; y < this.height; y++) {
-            const row = [];
-            for (let x = 0; x < this.width; x++) {
-                row.push({
-                    x: x,
-                    y: y,
-                    walls: { top: true, right: true, bottom: true, left: true },
-                    visited: false
-                });
-            }
-            this.grid.push(row);
-        }
+        // Initialize grid with all walls (one per topology direction)
+        this.grid = this.topology.createGrid();
     }
 
     generate(recordSteps = false) {
         this.init();
         this.generationSteps = [];
+        this.random = new SeededRandom(this.seed, this.prng);
+        
+        if (this.weave > 0) {
+            this.requireWeaveSupport();
+        }
         
         // Choose algorithm
         switch (this.algorithm) {
@@ -56,11 +118,36 @@ class MazeGenerator {
                 this.generateHuntAndKill(recordSteps);
                 break;
             case 'backtrack':
-            default:
                 this.generateBacktrack(recordSteps);
                 break;
+            case 'prim':
+                this.generatePrim(recordSteps);
+                break;
+            case 'wilson':
+                this.generateWilson(recordSteps);
+                break;
+            case 'aldousBroder':
+                this.generateAldousBroder(recordSteps);
+                break;
+            case 'growingTree':
+                this.generateGrowingTree(recordSteps);
+                break;
+            case 'binaryTree':
+                this.generateBinaryTree(recordSteps);
+                break;
+            case 'sidewinder':
+                this.generateSidewinder(recordSteps);
+                break;
+            case 'eller':
+                this.generateEller(recordSteps);
+                break;
+            default:
+                throw new Error(`Unknown maze algorithm: ${this.algorithm}`);
         }
         
+        // Row by row algorithms can leave masked mazes in pieces
+        this.connectRegions(recordSteps);
+        
         // Post-processing for complexity
         if (this.braidingFactor > 0) {
             this.applyBraiding(recordSteps);
@@ -77,7 +164,7 @@ class MazeGenerator {
      */
     generateBacktrack(recordSteps) {
         const stack = [];
-        const startCell = this.grid[0][0];
+        const startCell = this.getCells()[0];
         startCell.visited = true;
         stack.push(startCell);
 
@@ -91,7 +178,7 @@ class MazeGenerator {
 
         while (stack.length > 0) {
             const current = stack[stack.length - 1];
-            const neighbors = this.getUnvisitedNeighbors(current);
+            const neighbors = [...this.getUnvisitedNeighbors(current), ...this.getWeaveNeighbors(current)];
 
             if (neighbors.length === 0) {
                 stack.pop();
@@ -103,7 +190,7 @@ class MazeGenerator {
                     });
                 }
             } else {
-                const next = neighbors[Math.floor(Math.random() * neighbors.length)];
+                const next = this.random.pick(neighbors);
                 this.removeWall(current, next);
                 next.visited = true;
                 stack.push(next);
@@ -125,7 +212,7 @@ class MazeGenerator {
      * Hunt and Kill - creates more complex, twisty passages
      */
     generateHuntAndKill(recordSteps) {
-        let current = this.grid[0][0];
+        let current = this.getCells()[0];
         current.visited = true;
         
         if (recordSteps) {
@@ -138,10 +225,10 @@ class MazeGenerator {
         
         while (current) {
             // Kill phase: random walk from current cell
-            const neighbors = this.getUnvisitedNeighbors(current);
+            const neighbors = [...this.getUnvisitedNeighbors(current), ...this.getWeaveNeighbors(current)];
             
             if (neighbors.length > 0) {
-                const next = neighbors[Math.floor(Math.random() * neighbors.length)];
+                const next = this.random.pick(neighbors);
                 this.removeWall(current, next);
                 next.visited = true;
                 
@@ -161,14 +248,13 @@ class MazeGenerator {
                 current = null;
                 
                 huntLoop:
-                for (let y = 0; y < this.height; y++) {
-                    for (let x = 0; x < this.width; x++) {
-                        const cell = this.grid[y][x];
-                        if (!cell.visited) {
+                for (const row of this.grid) {
+                    for (const cell of row) {
+                        if (cell && !cell.visited) {
                             const visitedNeighbors = this.getVisitedNeighbors(cell);
                             if (visitedNeighbors.length > 0) {
                                 // Connect to a random visited neighbor
-                                const neighbor = visitedNeighbors[Math.floor(Math.random() * visitedNeighbors.length)];
+                                const neighbor = this.random.pick(visitedNeighbors);
                                 this.removeWall(cell, neighbor);
                                 cell.visited = true;
                                 
@@ -206,27 +292,22 @@ class MazeGenerator {
         const sets = new Map(); // Union-Find structure
         
         // Initialize each cell as its own set
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                const cell = this.grid[y][x];
-                sets.set(`${x},${y}`, `${x},${y}`);
-                cell.visited = true; // Mark all as visited for Kruskal's
-                
-                // Add walls (only right and bottom to avoid duplicates)
-                if (x < this.width - 1) {
-                    walls.push({ x1: x, y1: y, x2: x + 1, y2: y, dir: 'right' });
-                }
-                if (y < this.height - 1) {
-                    walls.push({ x1: x, y1: y, x2: x, y2: y + 1, dir: 'bottom' });
+        for (const cell of this.getCells()) {
+            const { x, y } = cell;
+            sets.set(`${x},${y}`, `${x},${y}`);
+            cell.visited = true; // Mark all as visited for Kruskal's
+            
+            // Add walls (only forward directions to avoid duplicates)
+            for (const dir of this.topology.forwardDirections) {
+                const neighbor = this.topology.neighborPosition(x, y, dir);
+                if (neighbor) {
+                    walls.push({ x1: x, y1: y, x2: neighbor.x, y2: neighbor.y, dir: dir });
                 }
             }
         }
         
         // Shuffle walls
-        for (let i = walls.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [walls[i], walls[j]] = [walls[j], walls[i]];
-        }
+        this.random.shuffle(walls);
         
         // Find root of set (with path compression)
         const findRoot = (key) => {
@@ -236,14 +317,18 @@ class MazeGenerator {
             return sets.get(key);
         };
         
-        // Process each wall
+        if (this.weave > 0) {
+            this.placeKruskalCrossings(sets, findRoot, recordSteps);
+        }
+        
+        // Process each wall (crossings may have opened some already)
         for (const wall of walls) {
             const key1 = `${wall.x1},${wall.y1}`;
             const key2 = `${wall.x2},${wall.y2}`;
             const root1 = findRoot(key1);
             const root2 = findRoot(key2);
             
-            if (root1 !== root2) {
+            if (root1 !== root2 && this.grid[wall.y1][wall.x1].walls[wall.dir]) {
                 // Cells are in different sets - remove wall and unite sets
                 const cell1 = this.grid[wall.y1][wall.x1];
                 const cell2 = this.grid[wall.y2][wall.x2];
@@ -263,6 +348,514 @@ class MazeGenerator {
         }
     }
     
+    /**
+     * Weave for Kruskal's: before any walls are removed, turn random untouched cells into
+     * crossings, joining their four neighbors in a straight passage over the cell and one
+     * tunneling under it. Their sets are merged so the rest of Kruskal's keeps the maze perfect.
+     */
+    placeKruskalCrossings(sets, findRoot, recordSteps) {
+        const rootOf = (cell) => findRoot(`${cell.x},${cell.y}`);
+        const join = (from, to) => {
+            this.removeWall(from, to);
+            sets.set(rootOf(from), rootOf(to));
+            
+            if (recordSteps) {
+                this.generationSteps.push({
+                    type: 'carve',
+                    fromX: from.x,
+                    fromY: from.y,
+                    toX: to.x,
+                    toY: to.y
+                });
+            }
+        };
+        
+        for (const cell of this.random.shuffle(this.getCells())) {
+            if (this.random.next() >= this.weave) continue;
+            
+            const [horizontal, vertical] = MazeGenerator.WEAVE_AXES.map(axis =>
+                axis.map(direction => this.getNeighbor(cell, direction)));
+            const around = [...horizontal, ...vertical];
+            if (around.some(neighbor => !neighbor || neighbor.tunnel)) continue;
+            if (this.topology.directions.some(direction => !cell.walls[direction])) continue;
+            if (new Set([cell, ...around].map(rootOf)).size !== 5) continue;
+            
+            const [over, under] = this.random.next() < 0.5 ? [horizontal, vertical] : [vertical, horizontal];
+            join(over[0], cell);
+            join(cell, over[1]);
+            join(under[0], under[1]);
+        }
+    }
+    
+    /**
+     * Randomized Prim's - grows outward from one cell by attaching random frontier cells
+     */
+    generatePrim(recordSteps) {
+        const startCell = this.getRandomCell();
+        startCell.visited = true;
+        
+        if (recordSteps) {
+            this.generationSteps.push({
+                type: 'visit',
+                x: startCell.x,
+                y: startCell.y
+            });
+        }
+        
+        // Unvisited cells next to the maze so far
+        const frontier = new Set(this.getUnvisitedNeighbors(startCell));
+        
+        while (frontier.size > 0) {
+            const cell = this.random.pick([...frontier]);
+            frontier.delete(cell);
+            
+            const neighbor = this.random.pick(this.getVisitedNeighbors(cell));
+            this.removeWall(neighbor, cell);
+            cell.visited = true;
+            
+            if (recordSteps) {
+                this.generationSteps.push({
+                    type: 'carve',
+                    fromX: neighbor.x,
+                    fromY: neighbor.y,
+                    toX: cell.x,
+                    toY: cell.y
+                });
+            }
+            
+            for (const next of this.getUnvisitedNeighbors(cell)) {
+                frontier.add(next);
+            }
+        }
+    }
+    
+    /**
+     * Wilson's - loop-erased random walks from unvisited cells until they hit the maze.
+     * Every spanning tree is equally likely, so there is no directional bias.
+     */
+    generateWilson(recordSteps) {
+        const firstCell = this.getRandomCell();
+        firstCell.visited = true;
+        
+        if (recordSteps) {
+            this.generationSteps.push({
+                type: 'visit',
+                x: firstCell.x,
+                y: firstCell.y
+            });
+        }
+        
+        const remaining = this.random.shuffle(this.getCells().filter(cell => !cell.visited));
+        
+        for (const walkStart of remaining) {
+            if (walkStart.visited) continue;
+            
+            // Random walk until reaching the maze. Remembering only the last exit taken from
+            // each cell erases any loops the walk made.
+            const nextStep = new Map();
+            let current = walkStart;
+            while (!current.visited) {
+                const next = this.random.pick(this.getNeighbors(current));
+                nextStep.set(current, next);
+                current = next;
+            }
+            
+            if (recordSteps) {
+                this.generationSteps.push({
+                    type: 'hunt',
+                    x: walkStart.x,
+                    y: walkStart.y
+                });
+            }
+            
+            // Carve the loop-erased path into the maze
+            current = walkStart;
+            while (!current.visited) {
+                const next = nextStep.get(current);
+                this.removeWall(current, next);
+                current.visited = true;
+                
+                if (recordSteps) {
+                    this.generationSteps.push({
+                        type: 'carve',
+                        fromX: current.x,
+                        fromY: current.y,
+                        toX: next.x,
+                        toY: next.y
+                    });
+                }
+                
+                current = next;
+            }
+        }
+    }
+    
+    /**
+     * Aldous-Broder - a random walk that carves whenever it steps into a new cell.
+     * Uniform like Wilson's, but the walk wanders a long time before the last cells are found.
+     */
+    generateAldousBroder(recordSteps) {
+        let current = this.getRandomCell();
+        current.visited = true;
+        let remaining = this.getCells().length - 1;
+        
+        if (recordSteps) {
+            this.generationSteps.push({
+                type: 'visit',
+                x: current.x,
+                y: current.y
+            });
+        }
+        
+        while (remaining > 0) {
+            const next = this.random.pick(this.getNeighbors(current));
+            
+            if (!next.visited) {
+                this.removeWall(current, next);
+                next.visited = true;
+                remaining--;
+                
+                if (recordSteps) {
+                    this.generationSteps.push({
+                        type: 'carve',
+                        fromX: current.x,
+                        fromY: current.y,
+                        toX: next.x,
+                        toY: next.y
+                    });
+                }
+            }
+            
+            current = next;
+        }
+    }
+    
+    /**
+     * Growing Tree - keeps a list of active cells and grows from one chosen by growingTreePolicy.
+     * 'newest' behaves like backtracking, 'random' like Prim's, mixes give textures in between.
+     */
+    generateGrowingTree(recordSteps) {
+        const startCell = this.getRandomCell();
+        startCell.visited = true;
+        const active = [startCell];
+        
+        if (recordSteps) {
+            this.generationSteps.push({
+                type: 'visit',
+                x: startCell.x,
+                y: startCell.y
+            });
+        }
+        
+        while (active.length > 0) {
+            const index = this.selectGrowingTreeIndex(active);
+            const current = active[index];
+            const neighbors = [...this.getUnvisitedNeighbors(current), ...this.getWeaveNeighbors(current)];
+            
+            if (neighbors.length === 0) {
+                active.splice(index, 1);
+                if (recordSteps) {
+                    this.generationSteps.push({
+                        type: 'backtrack',
+                        x: current.x,
+                        y: current.y
+                    });
+                }
+            } else {
+                const next = this.random.pick(neighbors);
+                this.removeWall(current, next);
+                next.visited = true;
+                active.push(next);
+                
+                if (recordSteps) {
+                    this.generationSteps.push({
+                        type: 'carve',
+                        fromX: current.x,
+                        fromY: current.y,
+                        toX: next.x,
+                        toY: next.y
+                    });
+                }
+            }
+        }
+    }
+    
+    selectGrowingTreeIndex(active) {
+        const policy = this.growingTreePolicy;
+        
+        if (typeof policy === 'function') {
+            return policy(active, this.random);
+        }
+        switch (policy) {
+            case 'newest':
+                return active.length - 1;
+            case 'oldest':
+                return 0;
+            case 'middle':
+                return Math.floor(active.length / 2);
+            case 'random':
+                return this.random.nextInt(active.length);
+            case 'mixed':
+                return this.random.next() < 0.5 ? active.length - 1 : this.random.nextInt(active.length);
+            default:
+                throw new Error(`Unknown growing tree policy: ${policy}`);
+        }
+    }
+    
+    /**
+     * Binary Tree - every cell links up or right, leaving a long open top row and right column
+     */
+    generateBinaryTree(recordSteps) {
+        this.requireSquareGrid();
+        
+        for (const cell of this.getCells()) {
+            cell.visited = true;
+            
+            if (recordSteps) {
+                this.generationSteps.push({
+                    type: 'visit',
+                    x: cell.x,
+                    y: cell.y
+                });
+            }
+            
+            const candidates = [this.getNeighbor(cell, 'top'), this.getNeighbor(cell, 'right')]
+                .filter(neighbor => neighbor);
+            if (candidates.length === 0) continue; // Top-right corner
+            
+            const next = this.random.pick(candidates);
+            this.removeWall(cell, next);
+            
+            if (recordSteps) {
+                this.generationSteps.push({
+                    type: 'carve',
+                    fromX: cell.x,
+                    fromY: cell.y,
+                    toX: next.x,
+                    toY: next.y
+                });
+            }
+        }
+    }
+    
+    /**
+     * Sidewinder - carves horizontal runs, each closed by one passage up from a random run cell
+     */
+    generateSidewinder(recordSteps) {
+        this.requireSquareGrid();
+        
+        for (let y = 0; y < this.height; y++) {
+            let run = [];
+            
+            for (let x = 0; x < this.width; x++) {
+                const cell = this.grid[y][x];
+                if (!cell) continue;
+                cell.visited = true;
+                run.push(cell);
+                
+                if (recordSteps) {
+                    this.generationSteps.push({
+                        type: 'visit',
+                        x: x,
+                        y: y
+                    });
+                }
+                
+                const east = this.getNeighbor(cell, 'right');
+                const closeRun = !east || (y > 0 && this.random.next() < 0.5);
+                
+                let from = cell;
+                let to;
+                if (closeRun) {
+                    if (y === 0) continue; // The top row is one open run
+                    // Masked mazes can have run cells with nothing above them
+                    const exits = run.filter(runCell => this.getNeighbor(runCell, 'top'));
+                    run = [];
+                    if (exits.length === 0) continue;
+                    from = this.random.pick(exits);
+                    to = this.getNeighbor(from, 'top');
+                } else {
+                    to = east;
+                }
+                
+                this.removeWall(from, to);
+                
+                if (recordSteps) {
+                    this.generationSteps.push({
+                        type: 'carve',
+                        fromX: from.x,
+                        fromY: from.y,
+                        toX: to.x,
+                        toY: to.y
+                    });
+                }
+            }
+        }
+    }
+    
+    /**
+     * Eller's - builds the maze one row at a time, tracking only which cells of the
+     * current row are already connected (their set)
+     */
+    generateEller(recordSteps) {
+        this.requireSquareGrid();
+        
+        const state = { sets: new Array(this.width).fill(null), nextSet: 0 };
+        
+        for (let y = 0; y < this.height; y++) {
+            const nextRow = y < this.height - 1 ? this.grid[y + 1] : null;
+            this.carveEllerRow(this.grid[y], nextRow, state, recordSteps);
+        }
+    }
+    
+    requireWeaveSupport() {
+        if (this.topology.name !== 'square') {
+            throw new Error(`Weaving needs a square grid, not ${this.topology.name}`);
+        }
+        if (!MazeGenerator.WEAVE_ALGORITHMS.includes(this.algorithm)) {
+            throw new Error(`The ${this.algorithm} algorithm can't weave`);
+        }
+    }
+    
+    requireSquareGrid() {
+        if (this.topology.name !== 'square') {
+            throw new Error(`The ${this.algorithm} algorithm needs a square grid, not ${this.topology.name}`);
+        }
+        if (this.floors > 1) {
+            throw new Error(`The ${this.algorithm} algorithm needs a single floor`);
+        }
+    }
+    
+    /**
+     * One row of Eller's algorithm. state.sets holds the set of each cell in row (null for
+     * cells not yet in one) and is replaced by the sets carried down into nextRow.
+     * Pass nextRow = null for the last row, which joins every remaining set.
+     * Rows may have null cells (left out by a mask), which belong to no set.
+     */
+    carveEllerRow(row, nextRow, state, recordSteps) {
+        const sets = state.sets;
+        const carve = (from, to) => {
+            this.removeWall(from, to);
+            to.visited = true;
+            
+            if (recordSteps) {
+                this.generationSteps.push({
+                    type: 'carve',
+                    fromX: from.x,
+                    fromY: from.y,
+                    toX: to.x,
+                    toY: to.y
+                });
+            }
+        };
+        
+        // Cells not carried down from the previous row start in their own set
+        for (let x = 0; x < row.length; x++) {
+            if (!row[x]) continue;
+            if (sets[x] === null) {
+                sets[x] = state.nextSet++;
+            }
+            row[x].visited = true;
+            
+            if (recordSteps) {
+                this.generationSteps.push({
+                    type: 'visit',
+                    x: row[x].x,
+                    y: row[x].y
+                });
+            }
+        }
+        
+        // Randomly join neighbors in different sets (all of them on the last row)
+        for (let x = 0; x < row.length - 1; x++) {
+            if (row[x] && row[x + 1] && sets[x] !== sets[x + 1] && (!nextRow || this.random.next() < 0.5)) {
+                carve(row[x], row[x + 1]);
+                const merged = sets[x + 1];
+                for (let i = 0; i < sets.length; i++) {
+                    if (sets[i] === merged) sets[i] = sets[x];
+                }
+            }
+        }
+        
+        if (!nextRow) return;
+        
+        // Every set continues down at least once (unless a mask leaves nothing below it)
+        const nextSets = new Array(row.length).fill(null);
+        const members = new Map();
+        for (let x = 0; x < row.length; x++) {
+            if (!row[x] || !nextRow[x]) continue;
+            if (!members.has(sets[x])) members.set(sets[x], []);
+            members.get(sets[x]).push(x);
+        }
+        for (const columns of members.values()) {
+            this.random.shuffle(columns);
+            const downCount = 1 + this.random.nextInt(columns.length);
+            for (const x of columns.slice(0, downCount)) {
+                carve(row[x], nextRow[x]);
+                nextSets[x] = sets[x];
+            }
+        }
+        state.sets = nextSets;
+    }
+    
+    /**
+     * Join separate regions into one by opening a random wall between each pair,
+     * Kruskal style, so a perfect maze stays perfect. Does nothing (and draws no
+     * random numbers) when the maze is already connected.
+     */
+    connectRegions(recordSteps) {
+        const region = new Map();
+        let regionCount = 0;
+        for (const cell of this.getCells()) {
+            if (region.has(cell)) continue;
+            const id = regionCount++;
+            region.set(cell, id);
+            const stack = [cell];
+            while (stack.length > 0) {
+                for (const neighbor of this.getOpenNeighbors(stack.pop())) {
+                    if (!region.has(neighbor)) {
+                        region.set(neighbor, id);
+                        stack.push(neighbor);
+                    }
+                }
+            }
+        }
+        if (regionCount <= 1) return;
+        
+        const walls = [];
+        for (const cell of this.getCells()) {
+            for (const dir of this.topology.forwardDirections) {
+                const neighbor = this.getNeighbor(cell, dir);
+                if (neighbor && region.get(neighbor) !== region.get(cell)) {
+                    walls.push({ cell, neighbor });
+                }
+            }
+        }
+        this.random.shuffle(walls);
+        
+        const sets = Array.from({ length: regionCount }, (_, i) => i);
+        const findRoot = (id) => sets[id] === id ? id : (sets[id] = findRoot(sets[id]));
+        
+        for (const { cell, neighbor } of walls) {
+            const root1 = findRoot(region.get(cell));
+            const root2 = findRoot(region.get(neighbor));
+            if (root1 === root2) continue;
+            
+            this.removeWall(cell, neighbor);
+            sets[root1] = root2;
+            
+            if (recordSteps) {
+                this.generationSteps.push({
+                    type: 'carve',
+                    fromX: cell.x,
+                    fromY: cell.y,
+                    toX: neighbor.x,
+                    toY: neighbor.y
+                });
+            }
+        }
+    }
+    
     /**
      * Braiding: Remove dead ends to create loops
      */
@@ -271,17 +864,14 @@ class MazeGenerator {
         const toRemove = Math.floor(deadEnds.length * this.braidingFactor);
         
         // Shuffle and remove some dead ends
-        for (let i = deadEnds.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [deadEnds[i], deadEnds[j]] = [deadEnds[j], deadEnds[i]];
-        }
+        this.random.shuffle(deadEnds);
         
         for (let i = 0; i < toRemove; i++) {
             const cell = deadEnds[i];
             const wallNeighbors = this.getWalledNeighbors(cell);
             
             if (wallNeighbors.length > 0) {
-                const neighbor = wallNeighbors[Math.floor(Math.random() * wallNeighbors.length)];
+                const neighbor = this.random.pick(wallNeighbors);
                 this.removeWall(cell, neighbor);
                 
                 if (recordSteps) {
@@ -304,24 +894,18 @@ class MazeGenerator {
         const walls = [];
         
         // Collect all internal walls
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                const cell = this.grid[y][x];
-                if (x < this.width - 1 && cell.walls.right) {
-                    walls.push({ cell, neighbor: this.grid[y][x + 1], dir: 'right' });
-                }
-                if (y < this.height - 1 && cell.walls.bottom) {
-                    walls.push({ cell, neighbor: this.grid[y + 1][x], dir: 'bottom' });
+        for (const cell of this.getCells()) {
+            for (const dir of this.topology.forwardDirections) {
+                const neighbor = this.getNeighbor(cell, dir);
+                if (neighbor && cell.walls[dir]) {
+                    walls.push({ cell, neighbor, dir });
                 }
             }
         }
         
         // Remove some walls
         const toRemove = Math.floor(walls.length * this.extraWallRemoval);
-        for (let i = walls.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [walls[i], walls[j]] = [walls[j], walls[i]];
-        }
+        this.random.shuffle(walls);
         
         for (let i = 0; i < toRemove; i++) {
             const { cell, neighbor } = walls[i];
@@ -340,64 +924,216 @@ class MazeGenerator {
     }
     
     findDeadEnds() {
-        const deadEnds = [];
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                const cell = this.grid[y][x];
-                let wallCount = 0;
-                if (cell.walls.top) wallCount++;
-                if (cell.walls.right) wallCount++;
-                if (cell.walls.bottom) wallCount++;
-                if (cell.walls.left) wallCount++;
-                
-                // Dead end has 3 walls
-                if (wallCount === 3) {
-                    deadEnds.push(cell);
+        // Dead end has a single way in or out
+        return this.getCells().filter(cell => this.getOpenNeighbors(cell).length === 1);
+    }
+    
+    /**
+     * Structural metrics of the generated maze, for tuning algorithm and complexity options.
+     *
+     * - deadEnds / junctions: cells with one / three or more open passages
+     * - loops: independent cycles (open passages - cells + connected regions)
+     * - solutionLength: fewest moves from start to exit
+     * - solutionShare: fraction of cells on that shortest path
+     * - averageCorridorLength: mean length of runs of cells with exactly two passages
+     * - difficulty: composite 0-100 score, see scoreDifficulty()
+     */
+    analyze() {
+        let passages = 0;
+        let junctions = 0;
+        let cellCount = 0;
+        
+        for (const cell of this.getCells()) {
+            const openCount = this.getOpenNeighbors(cell).length;
+            passages += openCount;
+            cellCount++;
+            if (openCount >= 3) junctions++;
+        }
+        passages /= 2; // Each passage was counted from both sides
+        
+        const solver = new MazeSolver(this);
+        const startDistances = solver.distanceMap(this.start);
+        const solutionLength = startDistances[this.exit.y][this.exit.x];
+        
+        const metrics = {
+            cells: cellCount,
+            deadEnds: this.findDeadEnds().length,
+            junctions: junctions,
+            loops: passages - cellCount + this.countRegions(),
+            solutionLength: solutionLength,
+            solutionShare: solutionLength === Infinity ? 0 : (solutionLength + 1) / cellCount,
+            averageCorridorLength: this.averageCorridorLength()
+        };
+        metrics.difficulty = this.scoreDifficulty(metrics);
+        return metrics;
+    }
+    
+    /**
+     * Composite difficulty from 0 (trivial) to 100 (very hard). Independent of maze size,
+     * so a level's size and its difficulty can be tuned separately. Harder mazes have:
+     * - a solution that winds far beyond the straight-line distance
+     * - many dead ends and junctions (more wrong turns to take)
+     * - short corridors and few loops (less to follow, fewer ways to recover)
+     */
+    scoreDifficulty(metrics) {
+        if (metrics.solutionLength === Infinity) return 100;
+        
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        const directDistance = this.topology.distance(this.start, this.exit);
+        const winding = clamp((metrics.solutionLength / Math.max(1, directDistance) - 1) / 3);
+        const deadEnds = clamp(metrics.deadEnds / metrics.cells / 0.3);
+        const junctions = clamp(metrics.junctions / metrics.cells / 0.3);
+        const corridors = clamp(metrics.averageCorridorLength / 8);
+        const loops = clamp(metrics.loops / metrics.cells / 0.15);
+        
+        const score = 0.35 * winding + 0.2 * deadEnds + 0.2 * junctions +
+            0.15 * (1 - corridors) + 0.1 * (1 - loops);
+        return Math.round(score * 100);
+    }
+    
+    // Number of separate connected regions (1 for a fully connected maze)
+    countRegions() {
+        const seen = new Set();
+        let regions = 0;
+        
+        for (const cell of this.getCells()) {
+            if (seen.has(cell)) continue;
+            regions++;
+            seen.add(cell);
+            const stack = [cell];
+            while (stack.length > 0) {
+                for (const neighbor of this.getOpenNeighbors(stack.pop())) {
+                    if (!seen.has(neighbor)) {
+                        seen.add(neighbor);
+                        stack.push(neighbor);
+                    }
                 }
             }
         }
-        return deadEnds;
+        return regions;
     }
     
-    getWalledNeighbors(cell) {
-        const neighbors = [];
-        const { x, y } = cell;
+    // Mean number of cells in each run of corridor cells (exactly two open passages)
+    averageCorridorLength() {
+        const isCorridor = (cell) => this.getOpenNeighbors(cell).length === 2;
+        const seen = new Set();
+        let corridors = 0;
+        let corridorCells = 0;
         
-        if (y > 0 && cell.walls.top) {
-            neighbors.push(this.grid[y - 1][x]);
-        }
-        if (x < this.width - 1 && cell.walls.right) {
-            neighbors.push(this.grid[y][x + 1]);
-        }
-        if (y < this.height - 1 && cell.walls.bottom) {
-            neighbors.push(this.grid[y + 1][x]);
+        for (const cell of this.getCells()) {
+            if (seen.has(cell) || !isCorridor(cell)) continue;
+            corridors++;
+            seen.add(cell);
+            const stack = [cell];
+            while (stack.length > 0) {
+                corridorCells++;
+                for (const neighbor of this.getOpenNeighbors(stack.pop())) {
+                    if (!seen.has(neighbor) && isCorridor(neighbor)) {
+                        seen.add(neighbor);
+                        stack.push(neighbor);
+                    }
+                }
+            }
         }
-        if (x > 0 && cell.walls.left) {
-            neighbors.push(this.grid[y][x - 1]);
+        return corridors === 0 ? 0 : corridorCells / corridors;
+    }
+    
+    /**
+     * Neighbor in a direction, or null past the edge of the maze
+     */
+    getNeighbor(cell, direction) {
+        const position = this.topology.neighborPosition(cell.x, cell.y, direction);
+        return position ? this.getCell(position.x, position.y) : null;
+    }
+    
+    // All neighbors inside the grid, walled or not
+    getNeighbors(cell) {
+        const neighbors = [];
+        for (const direction of this.topology.directions) {
+            const neighbor = this.getNeighbor(cell, direction);
+            if (neighbor) neighbors.push(neighbor);
         }
-        
         return neighbors;
     }
     
-    getVisitedNeighbors(cell) {
-        const neighbors = [];
-        const { x, y } = cell;
+    getWalledNeighbors(cell) {
+        return this.topology.directions
+            .filter(direction => cell.walls[direction])
+            .map(direction => this.getNeighbor(cell, direction))
+            .filter(neighbor => neighbor);
+    }
+    
+    /**
+     * Neighbors reachable from a cell in one move (through open walls and tunnels)
+     */
+    getOpenNeighbors(cell) {
+        return this.topology.directions
+            .map(direction => this.getPassage(cell, direction))
+            .filter(neighbor => neighbor);
+    }
+    
+    /**
+     * Where one move from a cell in a direction leads, or null if it's walled off.
+     * Moving into a crossing along its tunnel comes out on the far side, and the tunnel
+     * can't be entered from the crossing itself, which only leads along the passage over it.
+     */
+    getPassage(cell, direction) {
+        if (cell.walls[direction] || cell.tunnel?.includes(direction)) return null;
         
-        if (y > 0 && this.grid[y - 1][x].visited) {
-            neighbors.push(this.grid[y - 1][x]);
-        }
-        if (x < this.width - 1 && this.grid[y][x + 1].visited) {
-            neighbors.push(this.grid[y][x + 1]);
-        }
-        if (y < this.height - 1 && this.grid[y + 1][x].visited) {
-            neighbors.push(this.grid[y + 1][x]);
-        }
-        if (x > 0 && this.grid[y][x - 1].visited) {
-            neighbors.push(this.grid[y][x - 1]);
+        let next = this.getNeighbor(cell, direction);
+        while (next?.tunnel?.includes(direction)) {
+            next = this.getNeighbor(next, direction);
         }
+        return next;
+    }
+    
+    /**
+     * Weave: unvisited cells two steps away that could be reached by tunneling under
+     * the cell between, each offered with probability weave
+     */
+    getWeaveNeighbors(cell) {
+        if (this.weave <= 0) return [];
         
+        const neighbors = [];
+        for (const direction of MazeGenerator.WEAVE_AXES.flat()) {
+            const crossing = this.getNeighbor(cell, direction);
+            const beyond = crossing && this.getNeighbor(crossing, direction);
+            if (!beyond || beyond.visited || !this.canTunnelUnder(crossing, direction)) continue;
+            if (this.random.next() < this.weave) {
+                neighbors.push(beyond);
+            }
+        }
         return neighbors;
     }
+    
+    // A carved, straight corridor running across the direction, with nothing under it yet
+    canTunnelUnder(cell, direction) {
+        const across = MazeGenerator.WEAVE_AXES.find(axis => !axis.includes(direction));
+        const openCount = this.topology.directions.filter(d => !cell.walls[d]).length;
+        return cell.visited && !cell.tunnel && openCount === 2 && across.every(d => !cell.walls[d]);
+    }
+    
+    getVisitedNeighbors(cell) {
+        return this.getNeighbors(cell).filter(neighbor => neighbor.visited);
+    }
+    
+    getUnvisitedNeighbors(cell) {
+        return this.getNeighbors(cell).filter(neighbor => !neighbor.visited);
+    }
+    
+    getRandomCell() {
+        return this.random.pick(this.getCells());
+    }
+    
+    // Every cell of the maze in row order, skipping places a mask leaves out
+    getCells() {
+        return this.grid.flat().filter(cell => cell);
+    }
+    
+    // Cell at a position, or null outside the maze
+    getCell(x, y) {
+        return this.grid[y]?.[x] ?? null;
+    }
 
     /**
      * Get the recorded generation steps for animated playback
@@ -406,60 +1142,288 @@ class MazeGenerator {
         return this.generationSteps;
     }
 
-    getUnvisitedNeighbors(cell) {
-        const neighbors = [];
-        const { x, y } = cell;
-
-        // Top
-        if (y > 0 && !this.grid[y - 1][x].visited) {
-            neighbors.push(this.grid[y - 1][x]);
-        }
-        // Right
-        if (x < this.width - 1 && !this.grid[y][x + 1].visited) {
-            neighbors.push(this.grid[y][x + 1]);
-        }
-        // Bottom
-        if (y < this.height - 1 && !this.grid[y + 1][x].visited) {
-            neighbors.push(this.grid[y + 1][x]);
-        }
-        // Left
-        if (x > 0 && !this.grid[y][x - 1].visited) {
-            neighbors.push(this.grid[y][x - 1]);
-        }
-
-        return neighbors;
-    }
-
+    // Join two cells: adjacent ones through their shared wall, cells two apart (when
+    // weaving) by a tunnel under the cell between them
     removeWall(current, next) {
-        const dx = next.x - current.x;
-        const dy = next.y - current.y;
-
-        if (dx === 1) {
-            // Next is to the right
-            current.walls.right = false;
-            next.walls.left = false;
-        } else if (dx === -1) {
-            // Next is to the left
-            current.walls.left = false;
-            next.walls.right = false;
-        } else if (dy === 1) {
-            // Next is below
-            current.walls.bottom = false;
-            next.walls.top = false;
-        } else if (dy === -1) {
-            // Next is above
-            current.walls.top = false;
-            next.walls.bottom = false;
+        if (this.topology.directionBetween(current, next)) {
+            this.topology.link(current, next);
+        } else {
+            const between = this.topology.positionBetween(current, next);
+            this.topology.tunnel(current, this.getCell(between.x, between.y), next);
         }
     }
 
     // Get start position (top-left area)
     getStartPosition() {
-        return { x: 0, y: 0 };
+        return { x: this.start.x, y: this.start.y };
     }
 
     // Get exit position (bottom-right area)
     getExitPosition() {
-        return { x: this.width - 1, y: this.height - 1 };
+        return { x: this.exit.x, y: this.exit.y };
+    }
+    
+    /**
+     * JSON form of the maze, also used by JSON.stringify(generator).
+     * Wall masks have bit i set when the wall in topology.directions[i] is up,
+     * places the maze's mask leaves out are null. Tunnels list each crossing's cell.tunnel.
+     */
+    toJSON() {
+        const directions = this.topology.directions;
+        return {
+            format: 'mazer',
+            version: MazeGenerator.FORMAT_VERSION,
+            topology: this.topology.name,
+            width: this.width,
+            height: this.height,
+            floors: this.floors,
+            mask: this.topology.mask ? MazeMask.toString(this.topology.mask) : null,
+            start: this.getStartPosition(),
+            exit: this.getExitPosition(),
+            seed: this.seed,
+            algorithm: this.algorithm,
+            braidingFactor: this.braidingFactor,
+            extraWallRemoval: this.extraWallRemoval,
+            weave: this.weave,
+            walls: this.grid.map(row => row.map(cell => {
+                if (!cell) return null;
+                let mask = 0;
+                directions.forEach((direction, i) => {
+                    if (cell.walls[direction]) mask |= 1 << i;
+                });
+                return mask;
+            })),
+            tunnels: this.getCells()
+                .filter(cell => cell.tunnel)
+                .map(cell => ({ x: cell.x, y: cell.y, directions: cell.tunnel }))
+        };
+    }
+    
+    /**
+     * Rebuild a generated maze from its JSON form (object or JSON string)
+     */
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== 'mazer') {
+            throw new Error('Not a Mazer maze');
+        }
+        if (!MazeGenerator.READABLE_VERSIONS.includes(data.version)) {
+            throw new Error(`Unsupported maze format version: ${data.version}`);
+        }
+        const isSize = (value) => Number.isInteger(value) && value > 0;
+        if (!isSize(data.width) || !isSize(data.height) || !isSize(data.floors ?? 1)) {
+            throw new Error('Maze size is not valid');
+        }
+        if (!Array.isArray(data.walls) || !data.walls.every(Array.isArray)) {
+            throw new Error('Maze walls are missing');
+        }
+        
+        const generator = new MazeGenerator(data.width, data.height, {
+            topology: data.topology || 'square',
+            mask: data.mask || null,
+            floors: data.floors ?? 1,
+            algorithm: data.algorithm,
+            braidingFactor: data.braidingFactor,
+            extraWallRemoval: data.extraWallRemoval,
+            weave: data.weave,
+            seed: data.seed ?? null,
+            start: data.start,
+            exit: data.exit
+        });
+        
+        // One entry per grid position, a number for each cell
+        const grid = generator.grid;
+        if (data.walls.length !== grid.length || grid.some((row, y) => data.walls[y].length !== row.length)) {
+            throw new Error(`Maze walls don't fit a ${data.width}x${data.height} maze`);
+        }
+        const directions = generator.topology.directions;
+        for (const cell of generator.getCells()) {
+            const mask = data.walls[cell.y][cell.x];
+            if (!Number.isInteger(mask)) {
+                throw new Error(`Maze walls are not valid at ${cell.x},${cell.y}`);
+            }
+            directions.forEach((direction, i) => {
+                cell.walls[direction] = (mask & (1 << i)) !== 0;
+            });
+            cell.visited = true;
+        }
+        for (const tunnel of data.tunnels ?? []) {
+            const cell = generator.getCell(tunnel.x, tunnel.y);
+            if (!cell || !Array.isArray(tunnel.directions)) {
+                throw new Error(`Maze tunnel is not valid at ${tunnel.x},${tunnel.y}`);
+            }
+            cell.tunnel = [...tunnel.directions];
+        }
+        return generator;
+    }
+    
+    /**
+     * Compact form: base64url of
+     *   [version: u8] [topology id: u8, index in GridTopology.TYPES]
+     *   [width, height, startX, startY, exitX, exitY: u16 each]
+     *   [flags: u8, bit 0 masked, bit 1 has crossings] [floors: u8]
+     * followed by bits: when masked, one per position of a floor in row order (1 for a cell),
+     * then one per forward wall of each cell, in row order (right then bottom on
+     * square grids, then up with several floors). The other walls are implied by the
+     * neighbours, the border is always walled.
+     * With crossings, one more bit per cell marks them, then each crossing in row order
+     * gives the index of its tunnel's forward direction, in as few bits as can hold it.
+     */
+    encode() {
+        const headerSize = 16;
+        const forward = this.topology.forwardDirections;
+        const mask = this.topology.mask;
+        const cells = this.getCells();
+        const crossings = cells.filter(cell => cell.tunnel);
+        const indexBits = Math.ceil(Math.log2(forward.length));
+        const bitCount = (mask ? this.width * this.height : 0) + cells.length * forward.length +
+            (crossings.length > 0 ? cells.length + crossings.length * indexBits : 0);
+        const bytes = new Uint8Array(headerSize + Math.ceil(bitCount / 8));
+        const header = [this.width, this.height, this.start.x, this.start.y, this.exit.x, this.exit.y];
+        
+        bytes[0] = MazeGenerator.FORMAT_VERSION;
+        bytes[1] = GridTopology.TYPES.indexOf(this.topology.name);
+        header.forEach((value, i) => {
+            bytes[2 + i * 2] = value >> 8;
+            bytes[3 + i * 2] = value & 0xff;
+        });
+        bytes[14] = (mask ? 1 : 0) | (crossings.length > 0 ? 2 : 0);
+        bytes[15] = this.floors;
+        
+        let bit = 0;
+        const writeBit = (value) => {
+            if (value) bytes[headerSize + (bit >> 3)] |= 1 << (7 - (bit & 7));
+            bit++;
+        };
+        if (mask) {
+            mask.flat().forEach(writeBit);
+        }
+        for (const cell of cells) {
+            for (const direction of forward) {
+                writeBit(cell.walls[direction]);
+            }
+        }
+        if (crossings.length > 0) {
+            cells.forEach(cell => writeBit(cell.tunnel));
+            for (const cell of crossings) {
+                const index = forward.indexOf(cell.tunnel.find(direction => forward.includes(direction)));
+                for (let i = indexBits - 1; i >= 0; i--) {
+                    writeBit((index >> i) & 1);
+                }
+            }
+        }
+        
+        let binary = '';
+        for (const byte of bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    /**
+     * Rebuild a maze from the compact form produced by encode()
+     */
+    static decode(code) {
+        const base64 = code.trim().replace(/-/g, '+').replace(/_/g, '/');
+        let binary;
+        try {
+            binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        } catch (e) {
+            throw new Error('Maze code is not valid base64');
+        }
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        
+        // Version 1 codes are square grids without a topology byte,
+        // versions 1 and 2 have no mask byte and versions 1 to 3 no floors byte
+        const version = bytes[0];
+        if (!MazeGenerator.READABLE_VERSIONS.includes(version)) {
+            throw new Error(`Unsupported maze format version: ${version}`);
+        }
+        const topologyName = version === 1 ? 'square' : GridTopology.TYPES[bytes[1]];
+        const fieldsStart = version === 1 ? 1 : 2;
+        const headerSize = fieldsStart + 12 + (version >= 3 ? 1 : 0) + (version >= 4 ? 1 : 0);
+        if (bytes.length < headerSize) {
+            throw new Error('Maze code is too short');
+        }
+        if (!topologyName) {
+            throw new Error(`Unknown topology id in maze code: ${bytes[1]}`);
+        }
+        const [width, height, startX, startY, exitX, exitY] = [0, 1, 2, 3, 4, 5]
+            .map(i => (bytes[fieldsStart + i * 2] << 8) | bytes[fieldsStart + 1 + i * 2]);
+        const flags = version >= 3 ? bytes[fieldsStart + 12] : 0;
+        const masked = (flags & 1) !== 0;
+        const hasCrossings = version >= 5 && (flags & 2) !== 0;
+        const floors = version >= 4 ? bytes[fieldsStart + 13] : 1;
+        
+        let bit = 0;
+        const readBit = () => {
+            if (headerSize + (bit >> 3) >= bytes.length) {
+                throw new Error('Maze code is truncated');
+            }
+            const value = ((bytes[headerSize + (bit >> 3)] >> (7 - (bit & 7))) & 1) === 1;
+            bit++;
+            return value;
+        };
+        
+        let mask = null;
+        if (masked) {
+            mask = [];
+            for (let y = 0; y < height; y++) {
+                const row = [];
+                for (let x = 0; x < width; x++) {
+                    row.push(readBit());
+                }
+                mask.push(row);
+            }
+        }
+        
+        const generator = new MazeGenerator(width, height, {
+            topology: topologyName,
+            mask: mask,
+            floors: floors,
+            seed: null,
+            start: { x: startX, y: startY },
+            exit: { x: exitX, y: exitY }
+        });
+        
+        const topology = generator.topology;
+        const forward = topology.forwardDirections;
+        const cells = generator.getCells();
+        for (const cell of cells) {
+            for (const direction of forward) {
+                cell.walls[direction] = readBit();
+            }
+            cell.visited = true;
+        }
+        
+        // Every other wall mirrors the neighbour's forward wall
+        for (const cell of cells) {
+            for (const direction of topology.directions) {
+                if (forward.includes(direction)) continue;
+                const neighbor = generator.getNeighbor(cell, direction);
+                cell.walls[direction] = neighbor ? neighbor.walls[topology.directionBetween(neighbor, cell)] : true;
+            }
+        }
+        
+        // A crossing's tunnel runs along its forward direction and back out the other side
+        if (hasCrossings) {
+            const indexBits = Math.ceil(Math.log2(forward.length));
+            const crossings = cells.filter(() => readBit());
+            for (const cell of crossings) {
+                let index = 0;
+                for (let i = 0; i < indexBits; i++) {
+                    index = (index << 1) | (readBit() ? 1 : 0);
+                }
+                const direction = forward[index];
+                const ahead = generator.getNeighbor(cell, direction);
+                if (!ahead) {
+                    throw new Error('Maze code has a tunnel off the edge');
+                }
+                cell.tunnel = [topology.directionBetween(ahead, cell), direction];
+            }
+        }
+        return generator;
     }
 }
@@ -0,0 +1,71 @@
+/**
+ * Seeded random number generation
+ *
+ * MazeGenerator draws every random choice from a SeededRandom instance, so the
+ * same seed and options always produce the same maze and generation steps.
+ *
+ * Seeds can be any string or number. They are hashed to a 32-bit integer and
+ * handed to a PRNG factory: a function that takes that integer and returns a
+ * function yielding floats in [0, 1). mulberry32 is the default, but any
+ * deterministic factory can be plugged in.
+ */
+class SeededRandom {
+    constructor(seed, prng = SeededRandom.mulberry32) {
+        this.seed = seed;
+        this.next = prng(SeededRandom.hashSeed(seed));
+    }
+
+    // Random integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Random element of a non-empty array
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    // Fisher-Yates shuffle in place, returns the same array
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Mulberry32 - small, fast 32-bit PRNG with a full 2^32 period
+     */
+    static mulberry32(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Hash a string or number seed to an unsigned 32-bit integer.
+     * Numbers are hashed by their string form, so 42 and '42' are the same seed.
+     */
+    static hashSeed(seed) {
+        const str = String(seed);
+        let h = 1779033703 ^ str.length;
+        for (let i = 0; i < str.length; i++) {
+            h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+            h = (h << 13) | (h >>> 19);
+        }
+        h = Math.imul(h ^ (h >>> 16), 2246822507);
+        h = Math.imul(h ^ (h >>> 13), 3266489909);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    // Fresh seed for when the caller doesn't supply one (short, easy to share)
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000).toString(36);
+    }
+}
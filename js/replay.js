@@ -0,0 +1,138 @@
+/**
+ * Replays - a recorded run through a maze, to watch again or race as a ghost
+ *
+ * A replay keeps the maze itself as its compact code (MazeGenerator.encode()), so it
+ * plays back on exactly the same maze whatever options the game has later, plus the
+ * seed, level and generator options it came from, for showing, and the doors, crumbs and
+ * cats it was played with (RULES), which ghosts are matched by. Every move is stored as
+ * [time, direction] with the time in milliseconds from the start of the level and the
+ * direction as its index in the topology's directions, so files stay small:
+ *
+ *   { format: 'mazer-replay', version: 1, maze: 'BQAK...', seed: 'k3j9d2', level: 4,
+ *     options: { algorithm: 'huntAndKill', ... }, moves: [[412, 1], [655, 2], ...], time: 18250 }
+ *
+ * time is when the exit was reached, null while the run is still being recorded.
+ * MazerGame records moves as tryMove makes them and plays them back the same way.
+ */
+class Replay {
+    // Version of the file format, bump when the layout changes
+    static FORMAT_VERSION = 1;
+
+    constructor(data) {
+        this.maze = data.maze;
+        this.seed = data.seed ?? null;
+        this.level = data.level ?? null;
+        this.options = data.options ?? {};
+        this.moves = data.moves ?? [];
+        this.time = data.time ?? null;
+    }
+
+    // Game options that change how a maze plays, kept with the generator's
+    static RULES = ['lockedDoors', 'crumbCount', 'catCount'];
+
+    // Start recording a run through a generated maze, played with rules (MazerGame.itemRules())
+    static record(generator, level, rules = {}) {
+        return new Replay({
+            maze: generator.encode(),
+            seed: generator.seed,
+            level,
+            options: {
+                algorithm: generator.algorithm,
+                topology: generator.topology.name,
+                floors: generator.floors,
+                weave: generator.weave,
+                braidingFactor: generator.braidingFactor,
+                extraWallRemoval: generator.extraWallRemoval,
+                ...rules
+            }
+        });
+    }
+
+    // Short key for the maze, the same for every run through it
+    static mazeId(code) {
+        return SeededRandom.hashSeed(code).toString(36);
+    }
+
+    get mazeId() {
+        return Replay.mazeId(this.maze);
+    }
+
+    // Key for runs through the same maze with the same doors, crumbs and cats, the ones
+    // a run can be raced against. Runs recorded before the rules were kept match none.
+    get raceKey() {
+        return [this.mazeId, ...Replay.RULES.map(name => this.options[name] ?? '')].join('|');
+    }
+
+    get finished() {
+        return this.time !== null;
+    }
+
+    addMove(time, direction, topology) {
+        this.moves.push([Math.round(time), topology.directions.indexOf(direction)]);
+    }
+
+    finish(time) {
+        this.time = Math.round(time);
+    }
+
+    // Whether this finished run is better than another: faster, or as fast in fewer moves
+    beats(other) {
+        if (!other) return true;
+        if (this.time !== other.time) return this.time < other.time;
+        return this.moves.length < other.moves.length;
+    }
+
+    /**
+     * Where the run was after each move, played through the maze from its start:
+     * [{ time, x, y }], starting with the start at time 0.
+     * Throws if a move runs into a wall, so a replay can't be played on the wrong maze.
+     */
+    trace(generator) {
+        const directions = generator.topology.directions;
+        const start = generator.getStartPosition();
+        let cell = generator.getCell(start.x, start.y);
+        const positions = [{ time: 0, x: cell.x, y: cell.y }];
+        for (const [time, index] of this.moves) {
+            cell = generator.getPassage(cell, directions[index]);
+            if (!cell) {
+                throw new Error('Replay does not fit its maze');
+            }
+            positions.push({ time, x: cell.x, y: cell.y });
+        }
+        return positions;
+    }
+
+    toJSON() {
+        return {
+            format: 'mazer-replay',
+            version: Replay.FORMAT_VERSION,
+            maze: this.maze,
+            seed: this.seed,
+            level: this.level,
+            options: this.options,
+            moves: this.moves,
+            time: this.time
+        };
+    }
+
+    /**
+     * Read a replay back from its JSON form (object or JSON string)
+     */
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== 'mazer-replay') {
+            throw new Error('Not a Mazer replay');
+        }
+        if (data.version !== Replay.FORMAT_VERSION) {
+            throw new Error(`Unsupported replay format version: ${data.version}`);
+        }
+        const validMove = (move) => Array.isArray(move) && move.length === 2 &&
+            Number.isFinite(move[0]) && Number.isInteger(move[1]) && move[1] >= 0;
+        if (typeof data.maze !== 'string' || !Array.isArray(data.moves) || !data.moves.every(validMove)) {
+            throw new Error('Replay is damaged');
+        }
+        return new Replay(data);
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Settings - the game options players can change in the Settings panel, kept in localStorage
+ *
+ * Each setting is a MazerGame property of the same name. The game's own values are the
+ * defaults, saved changes go over them, and anything saved that no longer passes
+ * validation (a range narrowed, an algorithm renamed) falls back to its default.
+ *
+ * Settings are plain values: booleans, numbers within a range (whole numbers where
+ * integer is set) or one of a list of choices.
+ */
+class Settings {
+    static STORAGE_KEY = 'mazer.settings';
+
+    // Every setting in the order the panel lists them
+    static FIELDS = {
+        mazeAlgorithm: { label: 'Algorithm', type: 'choice', choices: MazeGenerator.ALGORITHMS },
+        mazeTopology: { label: 'Grid', type: 'choice', choices: GridTopology.TYPES },
+        mazeFloors: { label: 'Floors', type: 'number', min: 1, max: 5, step: 1, integer: true },
+        weave: { label: 'Weave (crossings)', type: 'number', min: 0, max: 1, step: 0.05 },
+        braidingFactor: { label: 'Braiding (loops)', type: 'number', min: 0, max: 1, step: 0.05 },
+        extraWallRemoval: { label: 'Extra shortcuts', type: 'number', min: 0, max: 1, step: 0.01 },
+        lockedDoors: { label: 'Locked doors', type: 'number', min: 0, max: 4, step: 1, integer: true },
+        crumbCount: { label: 'Crumbs', type: 'number', min: 0, max: 30, step: 1, integer: true },
+        catCount: { label: 'Cats', type: 'number', min: 0, max: 5, step: 1, integer: true },
+        baseMazeSize: { label: 'Starting maze size', type: 'number', min: 3, max: 200, step: 1, integer: true },
+        cellSize: { label: 'Cell size (pixels)', type: 'number', min: 15, max: 80, step: 1, integer: true },
+        moveSpeed: { label: 'Move speed (cells/s)', type: 'number', min: 1, max: 30, step: 1 },
+        fogRadius: { label: 'Fog radius (cells)', type: 'number', min: 1, max: 20, step: 0.5 },
+        ANIMATE_MAZE_GENERATION: { label: 'Animate maze generation', type: 'boolean' },
+        mazeAnimationDelay: { label: 'Animation step (ms)', type: 'number', min: 0, max: 200, step: 1, integer: true }
+    };
+
+    constructor(defaults) {
+        this.defaults = defaults; // { name: value } for every field
+        this.values = this.load();
+    }
+
+    // The value to keep for a setting. Throws an Error saying what's wrong if it isn't valid.
+    validate(name, value) {
+        const field = Settings.FIELDS[name];
+        if (!field) {
+            throw new Error(`Unknown setting: ${name}`);
+        }
+        switch (field.type) {
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    throw new Error(`${field.label} must be on or off`);
+                }
+                return value;
+            case 'choice':
+                if (!field.choices.includes(value)) {
+                    throw new Error(`${field.label} can't be ${value}`);
+                }
+                return value;
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    throw new Error(`${field.label} must be a number`);
+                }
+                if (field.integer && !Number.isInteger(value)) {
+                    throw new Error(`${field.label} must be a whole number`);
+                }
+                if (value < field.min || value > field.max) {
+                    throw new Error(`${field.label} must be from ${field.min} to ${field.max}`);
+                }
+                return value;
+            default:
+                throw new Error(`Unknown setting type: ${field.type}`);
+        }
+    }
+
+    // Change a setting, throwing if the value isn't valid
+    set(name, value) {
+        this.values[name] = this.validate(name, value);
+        this.save();
+    }
+
+    reset() {
+        this.values = { ...this.defaults };
+        this.save();
+    }
+
+    // Saved values over the defaults, skipping any that aren't valid
+    load() {
+        const values = { ...this.defaults };
+        try {
+            const saved = JSON.parse(localStorage.getItem(Settings.STORAGE_KEY)) ?? {};
+            for (const name of Object.keys(Settings.FIELDS)) {
+                try {
+                    values[name] = this.validate(name, saved[name] ?? values[name]);
+                } catch (e) {
+                    // Saved by a version with other limits - keep the default
+                }
+            }
+        } catch (e) {
+            // Unreadable or blocked storage - play with the defaults
+        }
+        return values;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(Settings.STORAGE_KEY, JSON.stringify(this.values));
+        } catch (e) {
+            // Storage can be blocked or full - settings last until reload
+        }
+    }
+}
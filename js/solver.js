@@ -0,0 +1,179 @@
+/**
+ * Maze Solver - shortest paths through a generated maze
+ *
+ * Works on a MazeGenerator (anything with grid, topology, getCell, getCells and
+ * getOpenNeighbors), following only open passages and the tunnels of weave mazes.
+ * Braided mazes have many routes, so paths returned here are the shortest, not just any route.
+ *
+ * Positions are passed in and returned as { x, y } objects.
+ */
+class MazeSolver {
+    constructor(maze) {
+        this.maze = maze;
+    }
+
+    /**
+     * Shortest path from start to goal, inclusive of both ends.
+     * Returns an array of positions, or null when the goal can't be reached.
+     * canEnter(cell, from), if given, limits the path to the moves it returns true for.
+     */
+    shortestPath(start, goal, method = 'astar', canEnter = null) {
+        switch (method) {
+            case 'bfs':
+                return this.bfs(start, goal, canEnter);
+            case 'astar':
+                return this.astar(start, goal, canEnter);
+            default:
+                throw new Error(`Unknown solver method: ${method}`);
+        }
+    }
+
+    /**
+     * Breadth-first search - explores outward evenly, every passage costs 1
+     */
+    bfs(start, goal, canEnter = null) {
+        const startCell = this.maze.getCell(start.x, start.y);
+        const goalKey = `${goal.x},${goal.y}`;
+        const cameFrom = new Map([[`${start.x},${start.y}`, null]]);
+        const queue = [startCell];
+
+        for (let i = 0; i < queue.length; i++) {
+            const current = queue[i];
+            if (`${current.x},${current.y}` === goalKey) {
+                return this.buildPath(cameFrom, current);
+            }
+
+            for (const neighbor of this.maze.getOpenNeighbors(current)) {
+                const key = `${neighbor.x},${neighbor.y}`;
+                if (!cameFrom.has(key) && (!canEnter || canEnter(neighbor, current))) {
+                    cameFrom.set(key, current);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * A* search - guided toward the goal by the topology's distance ignoring walls.
+     * A tunnel of a weave maze covers two cells in one move, so with any crossings
+     * the distance is halved to never overestimate.
+     */
+    astar(start, goal, canEnter = null) {
+        const startCell = this.maze.getCell(start.x, start.y);
+        const goalKey = `${goal.x},${goal.y}`;
+        const reach = this.maze.getCells().some(cell => cell.tunnel) ? 2 : 1;
+        const heuristic = (cell) => this.maze.topology.distance(cell, goal) / reach;
+
+        const startKey = `${start.x},${start.y}`;
+        const cameFrom = new Map([[startKey, null]]);
+        const cost = new Map([[startKey, 0]]);
+        const open = new PriorityQueue();
+        open.push(startCell, heuristic(startCell));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            const currentKey = `${current.x},${current.y}`;
+            if (currentKey === goalKey) {
+                return this.buildPath(cameFrom, current);
+            }
+
+            const nextCost = cost.get(currentKey) + 1;
+            for (const neighbor of this.maze.getOpenNeighbors(current)) {
+                if (canEnter && !canEnter(neighbor, current)) continue;
+                const key = `${neighbor.x},${neighbor.y}`;
+                if (!cost.has(key) || nextCost < cost.get(key)) {
+                    cost.set(key, nextCost);
+                    cameFrom.set(key, current);
+                    open.push(neighbor, nextCost + heuristic(neighbor));
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Distance in moves from a cell to every other cell, shaped like the grid
+     * (distances[y][x]). Unreachable cells are Infinity.
+     */
+    distanceMap(from) {
+        const distances = this.maze.grid.map(row => row.map(() => Infinity));
+        const queue = [this.maze.getCell(from.x, from.y)];
+        distances[from.y][from.x] = 0;
+
+        for (let i = 0; i < queue.length; i++) {
+            const current = queue[i];
+            const distance = distances[current.y][current.x];
+
+            for (const neighbor of this.maze.getOpenNeighbors(current)) {
+                if (distances[neighbor.y][neighbor.x] === Infinity) {
+                    distances[neighbor.y][neighbor.x] = distance + 1;
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    buildPath(cameFrom, end) {
+        const path = [];
+        let cell = end;
+        while (cell) {
+            path.push({ x: cell.x, y: cell.y });
+            cell = cameFrom.get(`${cell.x},${cell.y}`);
+        }
+        return path.reverse();
+    }
+}
+
+/**
+ * Binary min-heap keyed by priority, used for the A* open set
+ */
+class PriorityQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        const items = this.items;
+        items.push({ value, priority });
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top.value;
+    }
+}
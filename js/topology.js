@@ -0,0 +1,748 @@
+/**
+ * Grid topologies - the shape of the cells a maze is carved from
+ *
+ * A topology knows which directions a cell has walls in, which cell lies in each
+ * direction, and how cells are laid out and drawn. MazeGenerator, MazeSolver and
+ * MazerGame only go through this interface, so every algorithm, the braiding and
+ * wall removal passes, movement and rendering work on any topology.
+ *
+ * Topologies:
+ * - 'square': four walls per cell (top, right, bottom, left)
+ * - 'hex': six walls per cell, flat-topped hexagons in columns, odd columns shifted down
+ * - 'polar': concentric rings around a center cell, outer rings split into more cells
+ *
+ * Any topology can be stacked into floors (MultiFloorTopology), which adds 'up' and
+ * 'down' walls between the same cell on neighbouring floors.
+ *
+ * Square and hex grids can take a mask (see js/mask.js) that leaves cells out of the
+ * grid: createGrid() puts null in their place and no cell has them as neighbors.
+ *
+ * Geometry is in cell units (a square cell is 1 x 1). Multiply by the cell size in
+ * pixels to draw.
+ */
+class GridTopology {
+    // Names accepted by create(), their index is the topology id in compact maze codes
+    static TYPES = ['square', 'hex', 'polar'];
+
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.rows = height; // Rows in the grid (a polar grid has one per ring)
+        this.floors = 1;
+        this.name = null;
+        this.directions = []; // Every wall a cell can have
+        this.forwardDirections = []; // Half the directions, enough to visit each shared wall once
+        this.mask = null; // Rows of booleans, false for cells left out of the grid
+    }
+
+    static create(name, width, height, mask = null, floors = 1) {
+        let topology;
+        switch (name) {
+            case 'square':
+                topology = new SquareTopology(width, height);
+                break;
+            case 'hex':
+                topology = new HexTopology(width, height);
+                break;
+            case 'polar':
+                topology = new PolarTopology(width, height);
+                break;
+            default:
+                throw new Error(`Unknown grid topology: ${name}`);
+        }
+        if (mask) {
+            topology.applyMask(mask);
+        }
+        return floors > 1 ? new MultiFloorTopology(topology, floors) : topology;
+    }
+
+    /**
+     * Leave out the cells a mask (rows of booleans, true inside) marks as outside.
+     * Only the largest connected region of the mask is kept, so every cell can be reached.
+     */
+    applyMask(mask) {
+        this.mask = mask;
+
+        let largest = new Set();
+        const seen = new Set();
+        for (const position of this.cellPositions()) {
+            if (seen.has(`${position.x},${position.y}`)) continue;
+
+            const region = new Set([`${position.x},${position.y}`]);
+            const stack = [position];
+            while (stack.length > 0) {
+                const cell = stack.pop();
+                for (const direction of this.directions) {
+                    const next = this.neighborPosition(cell.x, cell.y, direction);
+                    if (next && !region.has(`${next.x},${next.y}`)) {
+                        region.add(`${next.x},${next.y}`);
+                        stack.push(next);
+                    }
+                }
+            }
+            region.forEach(key => seen.add(key));
+            if (region.size > largest.size) largest = region;
+        }
+
+        if (largest.size === 0) {
+            throw new Error('Maze mask has no cells');
+        }
+        this.mask = mask.map((row, y) => row.map((inside, x) => largest.has(`${x},${y}`)));
+    }
+
+    createCell(x, y) {
+        const walls = {};
+        for (const direction of this.directions) {
+            walls[direction] = true;
+        }
+        return { x: x, y: y, walls: walls, visited: false };
+    }
+
+    // Rows of cells with every wall up, null where the mask leaves a cell out
+    createGrid() {
+        const grid = [];
+        for (let y = 0; y < this.height; y++) {
+            const row = [];
+            for (let x = 0; x < this.width; x++) {
+                row.push(this.isInside(x, y) ? this.createCell(x, y) : null);
+            }
+            grid.push(row);
+        }
+        return grid;
+    }
+
+    isInside(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height && (!this.mask || this.mask[y][x]);
+    }
+
+    // Floor a row is on (0, the bottom, unless stacked by MultiFloorTopology)
+    floorOf(y) {
+        return 0;
+    }
+
+    // Row within the cell's floor
+    rowOnFloor(y) {
+        return y;
+    }
+
+    // Where the player starts and where the exit is, unless the maze says otherwise:
+    // opposite corners, or the first and last cells in row order with a mask
+    defaultStart() {
+        if (!this.mask) return { x: 0, y: 0 };
+        return this.cellPositions()[0];
+    }
+
+    defaultExit() {
+        if (!this.mask) return { x: this.width - 1, y: this.height - 1 };
+        return this.cellPositions().pop();
+    }
+
+    // Positions of every cell in the grid, in row order
+    cellPositions() {
+        const positions = [];
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.isInside(x, y)) positions.push({ x, y });
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Position of the neighbor in a direction, or null past the edge of the grid
+     */
+    neighborPosition(x, y, direction) {
+        throw new Error('neighborPosition is not implemented');
+    }
+
+    // Direction to step from one cell to an adjacent one, or null if they aren't adjacent
+    directionBetween(from, to) {
+        for (const direction of this.directions) {
+            const position = this.neighborPosition(from.x, from.y, direction);
+            if (position && position.x === to.x && position.y === to.y) {
+                return direction;
+            }
+        }
+        return null;
+    }
+
+    // Open the wall between two adjacent cells, from both sides
+    link(from, to) {
+        from.walls[this.directionBetween(from, to)] = false;
+        to.walls[this.directionBetween(to, from)] = false;
+    }
+
+    /**
+     * Join two cells on either side of a crossing cell with a tunnel under it (weave mazes).
+     * The crossing's walls toward them open too, and its tunnel lists the two directions
+     * that lead down into the tunnel rather than off the crossing.
+     */
+    tunnel(from, crossing, to) {
+        this.link(from, crossing);
+        this.link(crossing, to);
+        crossing.tunnel = [this.directionBetween(crossing, from), this.directionBetween(crossing, to)];
+    }
+
+    // Position of the cell between two cells two steps apart in a straight line, or null
+    positionBetween(from, to) {
+        for (const direction of this.directions) {
+            const middle = this.neighborPosition(from.x, from.y, direction);
+            const end = middle && this.neighborPosition(middle.x, middle.y, direction);
+            if (end && end.x === to.x && end.y === to.y) return middle;
+        }
+        return null;
+    }
+
+    // Fewest possible moves between two positions, ignoring walls
+    distance(a, b) {
+        throw new Error('distance is not implemented');
+    }
+
+    // Center of a cell in cell units
+    center(x, y) {
+        throw new Error('center is not implemented');
+    }
+
+    // Size of the whole grid in cell units
+    size() {
+        throw new Error('size is not implemented');
+    }
+
+    // Position of the cell under a point in cell units, on a floor, or null if there's none
+    positionAt(point, floor = 0) {
+        throw new Error('positionAt is not implemented');
+    }
+
+    // Positions of the cells on a floor whose centers may be within radius of a point in
+    // cell units, and others nearby; callers check the distance to each
+    positionsWithin(point, radius, floor = 0) {
+        throw new Error('positionsWithin is not implemented');
+    }
+
+    // Positions of the cells in a range of columns and rows, as far as the grid goes
+    positionsInBox(left, right, top, bottom) {
+        const positions = [];
+        for (let y = Math.max(top, 0); y <= Math.min(bottom, this.height - 1); y++) {
+            for (let x = Math.max(left, 0); x <= Math.min(right, this.width - 1); x++) {
+                if (this.isInside(x, y)) positions.push({ x, y });
+            }
+        }
+        return positions;
+    }
+
+    // Add the cell's outline (inset a pixel from its walls) to the current canvas path
+    traceCell(ctx, cell, cellSize) {
+        throw new Error('traceCell is not implemented');
+    }
+
+    // Add one of the cell's walls to the current canvas path
+    traceWall(ctx, cell, direction, cellSize) {
+        throw new Error('traceWall is not implemented');
+    }
+}
+
+/**
+ * Square cells in rows and columns
+ */
+class SquareTopology extends GridTopology {
+    static OFFSETS = {
+        top: { dx: 0, dy: -1 },
+        right: { dx: 1, dy: 0 },
+        bottom: { dx: 0, dy: 1 },
+        left: { dx: -1, dy: 0 }
+    };
+
+    constructor(width, height) {
+        super(width, height);
+        this.name = 'square';
+        this.directions = ['top', 'right', 'bottom', 'left'];
+        this.forwardDirections = ['right', 'bottom'];
+    }
+
+    neighborPosition(x, y, direction) {
+        const offset = SquareTopology.OFFSETS[direction];
+        const nx = x + offset.dx;
+        const ny = y + offset.dy;
+        return this.isInside(nx, ny) ? { x: nx, y: ny } : null;
+    }
+
+    distance(a, b) {
+        return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+    }
+
+    center(x, y) {
+        return { x: x + 0.5, y: y + 0.5 };
+    }
+
+    size() {
+        return { width: this.width, height: this.height };
+    }
+
+    positionAt(point) {
+        const x = Math.floor(point.x);
+        const y = Math.floor(point.y);
+        return this.isInside(x, y) ? { x, y } : null;
+    }
+
+    positionsWithin(point, radius) {
+        return this.positionsInBox(
+            Math.floor(point.x - radius), Math.floor(point.x + radius),
+            Math.floor(point.y - radius), Math.floor(point.y + radius)
+        );
+    }
+
+    traceCell(ctx, cell, cellSize) {
+        ctx.rect(cell.x * cellSize + 1, cell.y * cellSize + 1, cellSize - 2, cellSize - 2);
+    }
+
+    traceWall(ctx, cell, direction, cellSize) {
+        const px = cell.x * cellSize;
+        const py = cell.y * cellSize;
+
+        switch (direction) {
+            case 'top':
+                ctx.moveTo(px, py);
+                ctx.lineTo(px + cellSize, py);
+                break;
+            case 'right':
+                ctx.moveTo(px + cellSize, py);
+                ctx.lineTo(px + cellSize, py + cellSize);
+                break;
+            case 'bottom':
+                ctx.moveTo(px, py + cellSize);
+                ctx.lineTo(px + cellSize, py + cellSize);
+                break;
+            case 'left':
+                ctx.moveTo(px, py);
+                ctx.lineTo(px, py + cellSize);
+                break;
+        }
+    }
+}
+
+/**
+ * Flat-topped hexagons in columns, with odd columns shifted down half a cell.
+ * A hexagon is one cell unit wide.
+ */
+class HexTopology extends GridTopology {
+    static RADIUS = 0.5; // Center to corner
+    static ROW_HEIGHT = Math.sqrt(3) / 2; // Flat edge to flat edge
+
+    // Neighbor offsets depend on whether the column is shifted down
+    static OFFSETS = {
+        even: {
+            north: { dx: 0, dy: -1 }, northEast: { dx: 1, dy: -1 }, southEast: { dx: 1, dy: 0 },
+            south: { dx: 0, dy: 1 }, southWest: { dx: -1, dy: 0 }, northWest: { dx: -1, dy: -1 }
+        },
+        odd: {
+            north: { dx: 0, dy: -1 }, northEast: { dx: 1, dy: 0 }, southEast: { dx: 1, dy: 1 },
+            south: { dx: 0, dy: 1 }, southWest: { dx: -1, dy: 1 }, northWest: { dx: -1, dy: 0 }
+        }
+    };
+
+    // Corner indices (clockwise from the east corner) that bound each wall
+    static WALL_CORNERS = {
+        north: [4, 5], northEast: [5, 0], southEast: [0, 1],
+        south: [1, 2], southWest: [2, 3], northWest: [3, 4]
+    };
+
+    constructor(width, height) {
+        super(width, height);
+        this.name = 'hex';
+        this.directions = ['north', 'northEast', 'southEast', 'south', 'southWest', 'northWest'];
+        this.forwardDirections = ['northEast', 'southEast', 'south'];
+    }
+
+    neighborPosition(x, y, direction) {
+        const offset = HexTopology.OFFSETS[x % 2 === 0 ? 'even' : 'odd'][direction];
+        const nx = x + offset.dx;
+        const ny = y + offset.dy;
+        return this.isInside(nx, ny) ? { x: nx, y: ny } : null;
+    }
+
+    distance(a, b) {
+        // Convert to cube coordinates, where hex distance is the largest axis difference
+        const toCube = ({ x, y }) => {
+            const z = y - (x - (x & 1)) / 2;
+            return { q: x, r: z, s: -x - z };
+        };
+        const ca = toCube(a);
+        const cb = toCube(b);
+        return Math.max(Math.abs(ca.q - cb.q), Math.abs(ca.r - cb.r), Math.abs(ca.s - cb.s));
+    }
+
+    center(x, y) {
+        const rowHeight = HexTopology.ROW_HEIGHT;
+        return {
+            x: HexTopology.RADIUS + x * 0.75,
+            y: rowHeight / 2 + y * rowHeight + (x % 2 === 1 ? rowHeight / 2 : 0)
+        };
+    }
+
+    size() {
+        const rowHeight = HexTopology.ROW_HEIGHT;
+        return {
+            width: 0.75 * this.width + 0.25,
+            height: rowHeight * this.height + (this.width > 1 ? rowHeight / 2 : 0)
+        };
+    }
+
+    // A point is in the hexagon whose center is nearest, so check the columns and rows around it
+    positionAt(point) {
+        const column = Math.round((point.x - HexTopology.RADIUS) / 0.75);
+        const row = Math.floor(point.y / HexTopology.ROW_HEIGHT);
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (let x = column - 1; x <= column + 1; x++) {
+            for (let y = row - 1; y <= row + 1; y++) {
+                const center = this.center(x, y);
+                const distance = Math.hypot(point.x - center.x, point.y - center.y);
+                if (distance < nearestDistance) {
+                    nearest = { x, y };
+                    nearestDistance = distance;
+                }
+            }
+        }
+        // Past the corners of the grid the nearest center can be a cell that isn't there
+        return nearestDistance <= HexTopology.RADIUS && this.isInside(nearest.x, nearest.y) ? nearest : null;
+    }
+
+    // Columns by their centers, rows a row wider either way for the shifted columns
+    positionsWithin(point, radius) {
+        const rowHeight = HexTopology.ROW_HEIGHT;
+        return this.positionsInBox(
+            Math.ceil((point.x - radius - HexTopology.RADIUS) / 0.75), Math.floor((point.x + radius - HexTopology.RADIUS) / 0.75),
+            Math.floor((point.y - radius) / rowHeight) - 1, Math.ceil((point.y + radius) / rowHeight)
+        );
+    }
+
+    corner(center, index, radius) {
+        const angle = Math.PI / 3 * index;
+        return { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+    }
+
+    traceCell(ctx, cell, cellSize) {
+        const c = this.center(cell.x, cell.y);
+        const center = { x: c.x * cellSize, y: c.y * cellSize };
+        const radius = HexTopology.RADIUS * cellSize - 1;
+
+        for (let i = 0; i < 6; i++) {
+            const point = this.corner(center, i, radius);
+            if (i === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        }
+        ctx.closePath();
+    }
+
+    traceWall(ctx, cell, direction, cellSize) {
+        const c = this.center(cell.x, cell.y);
+        const center = { x: c.x * cellSize, y: c.y * cellSize };
+        const radius = HexTopology.RADIUS * cellSize;
+        const [from, to] = HexTopology.WALL_CORNERS[direction];
+
+        const start = this.corner(center, from, radius);
+        const end = this.corner(center, to, radius);
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+    }
+}
+
+/**
+ * Concentric rings around a single center cell. y is the ring (0 is the center)
+ * and x the cell's index around it, clockwise from due east. Rings are one cell
+ * unit thick and split into more cells as they get longer, so cells stay about
+ * as wide as they are deep and an outer ring cell may have one or two cells
+ * beyond it (the center has six).
+ *
+ * The maze fits in a height x height box, so there are height / 2 rings; width is
+ * ignored. The player starts on the rim and the exit is the center cell.
+ */
+class PolarTopology extends GridTopology {
+    // One outward wall per cell the next ring splits this cell into
+    static OUTWARD_DIRECTIONS = ['outward0', 'outward1', 'outward2', 'outward3', 'outward4', 'outward5'];
+
+    constructor(width, height) {
+        super(width, height);
+        this.name = 'polar';
+        this.rings = Math.max(1, Math.round(height / 2));
+        this.rows = this.rings;
+        this.directions = ['inward', 'clockwise', 'counterClockwise', ...PolarTopology.OUTWARD_DIRECTIONS];
+        this.forwardDirections = ['clockwise', ...PolarTopology.OUTWARD_DIRECTIONS];
+
+        // Cells per ring: each ring splits the cells of the one inside it into as many
+        // as keeps them close to square
+        this.ringCounts = [1];
+        for (let ring = 1; ring < this.rings; ring++) {
+            const previous = this.ringCounts[ring - 1];
+            const cellWidth = 2 * Math.PI * ring / previous;
+            const ratio = Math.min(Math.max(Math.round(cellWidth), 1), PolarTopology.OUTWARD_DIRECTIONS.length);
+            this.ringCounts.push(previous * ratio);
+        }
+    }
+
+    createGrid() {
+        return this.ringCounts.map((count, y) =>
+            Array.from({ length: count }, (_, x) => this.createCell(x, y))
+        );
+    }
+
+    isInside(x, y) {
+        return y >= 0 && y < this.rings && x >= 0 && x < this.ringCounts[y];
+    }
+
+    applyMask(mask) {
+        throw new Error('Masks are laid over rows and columns, polar grids have rings');
+    }
+
+    defaultStart() {
+        // On the rim, at the bottom
+        const rim = this.rings - 1;
+        return { x: Math.floor(this.ringCounts[rim] / 4), y: rim };
+    }
+
+    defaultExit() {
+        return { x: 0, y: 0 };
+    }
+
+    neighborPosition(x, y, direction) {
+        if (!this.isInside(x, y)) return null;
+        const count = this.ringCounts[y];
+
+        switch (direction) {
+            case 'inward':
+                if (y === 0) return null;
+                return { x: Math.floor(x / (count / this.ringCounts[y - 1])), y: y - 1 };
+            case 'clockwise':
+                return count > 1 ? { x: (x + 1) % count, y: y } : null;
+            case 'counterClockwise':
+                return count > 1 ? { x: (x - 1 + count) % count, y: y } : null;
+            default: {
+                const index = PolarTopology.OUTWARD_DIRECTIONS.indexOf(direction);
+                if (index === -1 || y + 1 >= this.rings) return null;
+                const ratio = this.ringCounts[y + 1] / count;
+                return index < ratio ? { x: x * ratio + index, y: y + 1 } : null;
+            }
+        }
+    }
+
+    distance(a, b) {
+        // Every move changes ring by at most one, so this never overestimates
+        return Math.abs(a.y - b.y);
+    }
+
+    // Angles the cell spans, in radians clockwise from due east
+    cellAngles(x, y) {
+        const step = 2 * Math.PI / this.ringCounts[y];
+        return { from: x * step, to: (x + 1) * step };
+    }
+
+    center(x, y) {
+        if (y === 0) {
+            return { x: this.rings, y: this.rings };
+        }
+        const { from, to } = this.cellAngles(x, y);
+        const angle = (from + to) / 2;
+        const radius = y + 0.5;
+        return { x: this.rings + radius * Math.cos(angle), y: this.rings + radius * Math.sin(angle) };
+    }
+
+    size() {
+        return { width: this.rings * 2, height: this.rings * 2 };
+    }
+
+    // Ring from the distance to the middle, cell from the angle
+    positionAt(point) {
+        const dx = point.x - this.rings;
+        const dy = point.y - this.rings;
+        const y = Math.floor(Math.hypot(dx, dy));
+        if (y >= this.rings) return null;
+
+        const angle = (Math.atan2(dy, dx) + 2 * Math.PI) % (2 * Math.PI);
+        const x = Math.floor(angle / (2 * Math.PI) * this.ringCounts[y]);
+        return { x: Math.min(x, this.ringCounts[y] - 1), y };
+    }
+
+    /**
+     * The rings whose middles are within radius of the point's distance from the middle,
+     * and on each the cells at most asin(radius / distance) round from the point's angle,
+     * give or take a cell. The whole ring where the radius reaches across the middle.
+     */
+    positionsWithin(point, radius) {
+        const dx = point.x - this.rings;
+        const dy = point.y - this.rings;
+        const distance = Math.hypot(dx, dy);
+        const angle = (Math.atan2(dy, dx) + 2 * Math.PI) % (2 * Math.PI);
+        const positions = [];
+
+        const inner = Math.max(0, Math.floor(distance - radius - 0.5));
+        const outer = Math.min(this.rings - 1, Math.ceil(distance + radius - 0.5));
+        for (let y = inner; y <= outer; y++) {
+            const count = this.ringCounts[y];
+            const step = 2 * Math.PI / count;
+            const ringRadius = y + 0.5;
+            const spread = radius < ringRadius ? Math.asin(radius / ringRadius) + step : Math.PI;
+            const first = Math.floor((angle - spread) / step);
+            const last = Math.ceil((angle + spread) / step);
+            if (last - first + 1 >= count) {
+                for (let x = 0; x < count; x++) positions.push({ x, y });
+            } else {
+                for (let i = first; i <= last; i++) positions.push({ x: (i % count + count) % count, y });
+            }
+        }
+        return positions;
+    }
+
+    traceCell(ctx, cell, cellSize) {
+        const middle = this.rings * cellSize;
+        const outer = (cell.y + 1) * cellSize - 1;
+
+        if (cell.y === 0) {
+            ctx.moveTo(middle + outer, middle);
+            ctx.arc(middle, middle, outer, 0, 2 * Math.PI);
+            ctx.closePath();
+            return;
+        }
+
+        const inner = cell.y * cellSize + 1;
+        const { from, to } = this.cellAngles(cell.x, cell.y);
+        ctx.moveTo(middle + inner * Math.cos(from), middle + inner * Math.sin(from));
+        ctx.arc(middle, middle, inner, from, to);
+        ctx.arc(middle, middle, outer, to, from, true);
+        ctx.closePath();
+    }
+
+    /**
+     * Each shared wall is drawn from one side only: a cell draws its inward arc and
+     * its counter-clockwise edge, and rim cells also draw the outer edge of the maze
+     */
+    traceWall(ctx, cell, direction, cellSize) {
+        const middle = this.rings * cellSize;
+        const { from, to } = this.cellAngles(cell.x, cell.y);
+        const arc = (radius) => {
+            ctx.moveTo(middle + radius * Math.cos(from), middle + radius * Math.sin(from));
+            ctx.arc(middle, middle, radius, from, to);
+        };
+
+        switch (direction) {
+            case 'inward':
+                if (cell.y > 0) arc(cell.y * cellSize);
+                break;
+            case 'counterClockwise':
+                if (this.ringCounts[cell.y] > 1) {
+                    ctx.moveTo(middle + cell.y * cellSize * Math.cos(from), middle + cell.y * cellSize * Math.sin(from));
+                    ctx.lineTo(middle + (cell.y + 1) * cellSize * Math.cos(from), middle + (cell.y + 1) * cellSize * Math.sin(from));
+                }
+                break;
+            case 'outward0':
+                if (cell.y === this.rings - 1) arc((cell.y + 1) * cellSize);
+                break;
+        }
+    }
+}
+
+/**
+ * Several floors of another topology stacked on top of each other. Floor 0 is the
+ * bottom. The floors share the grid's rows, floor after floor, so a cell at row y of
+ * floor f is at y + f * rows and positions stay { x, y }. Each cell has 'up' and 'down'
+ * walls as well as its floor's, opening them makes a staircase to the same place on
+ * the next floor.
+ *
+ * The player starts on the bottom floor and the exit is on the top floor.
+ */
+class MultiFloorTopology extends GridTopology {
+    constructor(floorTopology, floors) {
+        super(floorTopology.width, floorTopology.height);
+        this.floorTopology = floorTopology;
+        this.name = floorTopology.name;
+        this.mask = floorTopology.mask;
+        this.floors = floors;
+        this.rows = floorTopology.rows * floors;
+        this.directions = [...floorTopology.directions, 'up', 'down'];
+        this.forwardDirections = [...floorTopology.forwardDirections, 'up'];
+    }
+
+    floorOf(y) {
+        return Math.floor(y / this.floorTopology.rows);
+    }
+
+    rowOnFloor(y) {
+        return y - this.floorOf(y) * this.floorTopology.rows;
+    }
+
+    createGrid() {
+        const grid = [];
+        for (let floor = 0; floor < this.floors; floor++) {
+            const offset = floor * this.floorTopology.rows;
+            for (const row of this.floorTopology.createGrid()) {
+                grid.push(row.map(cell => cell ? this.createCell(cell.x, cell.y + offset) : null));
+            }
+        }
+        return grid;
+    }
+
+    isInside(x, y) {
+        const floor = this.floorOf(y);
+        return floor >= 0 && floor < this.floors && this.floorTopology.isInside(x, this.rowOnFloor(y));
+    }
+
+    defaultStart() {
+        return this.floorTopology.defaultStart();
+    }
+
+    defaultExit() {
+        const exit = this.floorTopology.defaultExit();
+        return { x: exit.x, y: exit.y + (this.floors - 1) * this.floorTopology.rows };
+    }
+
+    neighborPosition(x, y, direction) {
+        const floor = this.floorOf(y);
+        const rows = this.floorTopology.rows;
+
+        if (direction === 'up' || direction === 'down') {
+            const ny = y + (direction === 'up' ? rows : -rows);
+            return this.isInside(x, y) && this.isInside(x, ny) ? { x: x, y: ny } : null;
+        }
+        if (floor < 0 || floor >= this.floors) return null;
+        const position = this.floorTopology.neighborPosition(x, this.rowOnFloor(y), direction);
+        return position ? { x: position.x, y: position.y + floor * rows } : null;
+    }
+
+    distance(a, b) {
+        const onFloor = (p) => ({ x: p.x, y: this.rowOnFloor(p.y) });
+        return this.floorTopology.distance(onFloor(a), onFloor(b)) + Math.abs(this.floorOf(a.y) - this.floorOf(b.y));
+    }
+
+    // Floors are drawn one at a time, in the same place
+    center(x, y) {
+        return this.floorTopology.center(x, this.rowOnFloor(y));
+    }
+
+    size() {
+        return this.floorTopology.size();
+    }
+
+    positionAt(point, floor = 0) {
+        const position = this.floorTopology.positionAt(point);
+        if (!position || floor < 0 || floor >= this.floors) return null;
+        return { x: position.x, y: position.y + floor * this.floorTopology.rows };
+    }
+
+    positionsWithin(point, radius, floor = 0) {
+        if (floor < 0 || floor >= this.floors) return [];
+        const offset = floor * this.floorTopology.rows;
+        return this.floorTopology.positionsWithin(point, radius).map(position => ({ x: position.x, y: position.y + offset }));
+    }
+
+    traceCell(ctx, cell, cellSize) {
+        this.floorTopology.traceCell(ctx, { ...cell, y: this.rowOnFloor(cell.y) }, cellSize);
+    }
+
+    // Stairs aren't walls on the floor plan, the game marks them separately
+    traceWall(ctx, cell, direction, cellSize) {
+        if (direction === 'up' || direction === 'down') return;
+        this.floorTopology.traceWall(ctx, { ...cell, y: this.rowOnFloor(cell.y) }, direction, cellSize);
+    }
+}